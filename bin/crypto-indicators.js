@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// Command-line front end to the library: compute any registered indicator or strategy on
+// exchange candles or a candle file and print it as a table, CSV or JSON.
+const fs = require("fs/promises");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  INDICATORS, getIndicator, computeIndicator, alignResult, fetchOhlcvData, parseCsv, DEFAULT_EXCHANGE, MAX_LIMIT, errorCode,
+} = require("../lib");
+const { DEFAULT_TIMEFRAME, timeframeSchema } = require("../utils/toolParams");
+
+const FORMATS = ["table", "csv", "json"];
+const WARMUP_MODES = ["mark", "trim", "keep"];
+const CATEGORIES = ["trend", "momentum", "volatility", "volume", "strategy"];
+
+const COMMON_OPTIONS = {
+  timeframe: { type: "string", short: "t", default: DEFAULT_TIMEFRAME },
+  limit: { type: "string", short: "l" },
+  exchange: { type: "string", short: "e" },
+  input: { type: "string", short: "i" },
+  since: { type: "string" },
+  until: { type: "string" },
+  last: { type: "string", short: "n" },
+  warmup: { type: "string", default: "mark" },
+  format: { type: "string", short: "f", default: "table" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const USAGE = `Usage: crypto-indicators <indicator> [SYMBOL] [options]
+       crypto-indicators list [${CATEGORIES.join("|")}]
+
+Compute an indicator or strategy, e.g.
+  crypto-indicators rsi BTC/USDT --timeframe 4h --period 14
+  crypto-indicators macd_strategy ETH/USDT --last 5 --format csv
+  crypto-indicators bb --input candles.csv --format json
+
+Options:
+  -t, --timeframe <tf>   Candle timeframe (default ${DEFAULT_TIMEFRAME})
+  -l, --limit <n>        Candles to fetch, at most ${MAX_LIMIT} (default 100; with --input, all candles in the file)
+  -e, --exchange <id>    Exchange to fetch from (default ${DEFAULT_EXCHANGE})
+  -i, --input <file>     Read candles from a .csv or .json file instead of an exchange
+      --since <date>     Candles from this ISO date on
+      --until <date>     Candles up to this ISO date
+  -n, --last <n>         Print only the latest n rows
+      --warmup <mode>    Values computed from too few candles: ${WARMUP_MODES.join(", ")} (default mark)
+  -f, --format <fmt>     Output format: ${FORMATS.join(", ")} (default table)
+  -h, --help             Show this help, or an indicator's parameters with <indicator> --help
+  --<param> <value>      Indicator parameter, e.g. --period 21 or --fast-period 8`;
+
+class UsageError extends Error {}
+
+// Lowercase title abbreviations ("rsi" for "Relative Strength Index (RSI)"), kept only when unambiguous.
+// Presets are called by their own names.
+const ALIASES = (() => {
+  const aliases = new Map();
+  const taken = new Set();
+  for (const definition of INDICATORS) {
+    if (definition.preset) continue;
+    const match = definition.title.match(/\(([^)]+)\)$/);
+    if (!match) continue;
+    const alias = match[1].toLowerCase();
+    if (taken.has(alias)) aliases.delete(alias);
+    else aliases.set(alias, definition.name);
+    taken.add(alias);
+  }
+  return aliases;
+})();
+
+function findDefinition(command) {
+  const name = command.toLowerCase().replace(/-/g, "_");
+  const definition = getIndicator(ALIASES.get(name) || name);
+  if (!definition) throw new UsageError(`Unknown indicator: ${command}. Run "crypto-indicators list" for the names`);
+  return definition;
+}
+
+function aliasesOf(definition) {
+  return [...ALIASES].filter(([, name]) => name === definition.name).map(([alias]) => alias);
+}
+
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function listIndicators(category) {
+  if (category && !CATEGORIES.includes(category)) {
+    throw new UsageError(`Unknown category: ${category}. Categories: ${CATEGORIES.join(", ")}`);
+  }
+  const definitions = INDICATORS.filter((definition) =>
+    !category || (category === "strategy" ? definition.kind === "strategy" : definition.kind !== "strategy" && definition.category === category)
+  );
+  return definitions.map((definition) => {
+    const aliases = aliasesOf(definition);
+    return `${definition.name}${aliases.length ? ` (${aliases.join(", ")})` : ""}: ${definition.title}`;
+  }).join("\n");
+}
+
+function indicatorHelp(definition) {
+  const params = Object.entries(definition.params).map(([name, param]) =>
+    `  --${kebabCase(name)} <${param.type === "int" ? "n" : "x"}>  ${param.description} (${param.min} to ${param.max}, default ${param.default})`
+  );
+  return [
+    `${definition.title}: ${definition.interpretation}`,
+    "",
+    params.length ? `Parameters:\n${params.join("\n")}` : "No parameters.",
+    "",
+    USAGE,
+  ].join("\n");
+}
+
+function positiveInt(value, flag, max = Infinity) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new UsageError(`--${flag} must be a positive integer, got ${value}`);
+  if (number > max) throw new UsageError(`--${flag} must be at most ${max}, got ${value}`);
+  return number;
+}
+
+// Same rule as the MCP tools: a valid interval, and one of the configured timeframes when set
+function timeframeOf(value) {
+  const parsed = timeframeSchema.safeParse(value);
+  if (!parsed.success) throw new UsageError(`--timeframe: ${parsed.error.issues[0].message}, got ${value}`);
+  return value;
+}
+
+function oneOf(value, allowed, flag) {
+  if (!allowed.includes(value)) throw new UsageError(`--${flag} must be one of ${allowed.join(", ")}, got ${value}`);
+  return value;
+}
+
+// Candle file contents as the `ohlcv` option of the inline data source
+async function readInput(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension !== ".csv" && extension !== ".json") throw new UsageError(`--input must be a .csv or .json file, got ${file}`);
+  const text = await fs.readFile(file, "utf8");
+  if (extension === ".csv") return parseCsv(text);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Missing values (null) show as "-" in tables; absent keys, such as warmup on later rows, stay blank
+function formatCell(value, format) {
+  if (value === undefined) return "";
+  if (value === null) return format === "table" ? "-" : "";
+  if (typeof value === "number" && format === "table") return String(Number(value.toFixed(6)));
+  return String(value);
+}
+
+function render(values, format) {
+  if (format === "json") return JSON.stringify(values, null, 2);
+  const columns = [...new Set(values.flatMap((row) => Object.keys(row)))];
+  const rows = values.map((row) => columns.map((column) => formatCell(row[column], format)));
+  if (format === "csv") {
+    return [columns, ...rows].map((cells) => cells.map((cell) => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(",")).join("\n");
+  }
+  const widths = columns.map((column, i) => Math.max(column.length, ...rows.map((cells) => cells[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+  return [line(columns), line(widths.map((width) => "-".repeat(width))), ...rows.map(line)].join("\n");
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === "-h" || command === "--help") return USAGE;
+  if (command === "list") return listIndicators(rest[0]);
+
+  const definition = findDefinition(command);
+  const paramOptions = {};
+  for (const name of Object.keys(definition.params)) {
+    paramOptions[name] = { type: "string" };
+    if (kebabCase(name) !== name) paramOptions[kebabCase(name)] = { type: "string" };
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...COMMON_OPTIONS, ...paramOptions }, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return indicatorHelp(definition);
+  if (positionals.length > 1) throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(" ")}`);
+  const [symbol] = positionals;
+  if (!symbol && !values.input) throw new UsageError("Pass a SYMBOL such as BTC/USDT, or --input with a candle file");
+
+  const params = {};
+  for (const name of Object.keys(definition.params)) {
+    const value = values[name] ?? values[kebabCase(name)];
+    if (value !== undefined) params[name] = Number(value);
+  }
+  const timeframe = timeframeOf(values.timeframe);
+  const format = oneOf(values.format, FORMATS, "format");
+  const warmup = oneOf(values.warmup, WARMUP_MODES, "warmup");
+  const options = { exchange: values.exchange, since: values.since, until: values.until };
+  if (values.input) options.ohlcv = await readInput(values.input);
+
+  const asset = await fetchOhlcvData(symbol, timeframe, positiveInt(values.limit, "limit", MAX_LIMIT), options);
+  const { result, warmupPeriod } = computeIndicator(definition.name, asset, params);
+  const aligned = alignResult(asset, result, warmupPeriod, { warmup, lastN: positiveInt(values.last, "last") });
+  if (format === "json") {
+    return render({ indicator: definition.name, symbol, timeframe, ...aligned }, format);
+  }
+  const output = render(aligned.values, format);
+  if (format === "csv") return output;
+  const source = values.input || `${symbol} ${timeframe} on ${values.exchange || DEFAULT_EXCHANGE}`;
+  return `${definition.title}, ${source}, ${asset.dates.length} candles\n\n${output}`;
+}
+
+main(process.argv.slice(2)).then(
+  (output) => {
+    process.stdout.write(`${output}\n`);
+  },
+  (error) => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\nRun "crypto-indicators --help" for usage`);
+      process.exitCode = 2;
+    } else {
+      console.error(`Error [${errorCode(error)}]: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+);
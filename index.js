@@ -1,31 +1,118 @@
+const { parseArgs } = require("util");
 const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { startHttpServer, MCP_PATH } = require("./utils/httpServer");
 
-// Initialize MCP server
-const server = new McpServer({
-  name: "crypto-indicators-mcp",
-  version: "1.0.0",
-});
-
-// Load tools from separate files
-require("./indicators/trendIndicators")(server);
-require("./indicators/momentumIndicators")(server);
-require("./indicators/volatilityIndicators")(server);
-require("./indicators/volumeIndicators")(server);
-
-// Load strategies from separate files
-require("./strategies/trendStrategies")(server);
-require("./strategies/momentumStrategies")(server);
-require("./strategies/volatilityStrategies")(server);
-require("./strategies/volumeStrategies")(server);
-
-// Function to start the server using async/await
+// Build an MCP server with every enabled tool, resource and prompt. HTTP mode builds one per session.
+// Modules are required here rather than at the top so that they read the config file named by --config.
+function createServer() {
+  const { isEnabled } = require("./utils/config");
+  const { validateToolArguments } = require("./utils/toolErrors");
+  const server = new McpServer({
+    name: "crypto-indicators-mcp",
+    version: "1.0.0",
+  });
+  // Report schema failures with the INVALID_PARAMS code like any other bad argument
+  validateToolArguments(server);
+
+  // Load indicator and strategy tools, generated from the definitions in indicators/ and strategies/
+  // (disabled indicator categories are left out of the registry)
+  require("./tools/indicatorTools")(server);
+
+  // Load market scanning
+  if (isEnabled("scan")) require("./tools/scanTools")(server);
+
+  // Load multi-timeframe confluence
+  if (isEnabled("confluence")) require("./tools/confluenceTools")(server);
+
+  // Load indicator discovery
+  if (isEnabled("discovery")) require("./tools/discoveryTools")(server);
+
+  // Load data tools
+  if (isEnabled("data")) require("./tools/dataTools")(server);
+
+  // Load chart rendering
+  if (isEnabled("chart")) require("./tools/chartTools")(server);
+
+  // Load strategy backtesting (it needs the strategies in the registry)
+  if (isEnabled("backtest") && isEnabled("strategy")) require("./tools/backtestTools")(server);
+
+  // Load ohlcv:// and indicator:// resources
+  if (isEnabled("resources")) require("./resources/marketResources")(server);
+
+  // Load analysis workflow prompts
+  if (isEnabled("prompts")) require("./prompts/analysisPrompts")(server);
+
+  return server;
+}
+
+// Comma-separated environment setting as a list, or undefined when unset or empty
+function listSetting(value) {
+  const items = (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+  return items.length ? items : undefined;
+}
+
+// Transport settings: command-line flags take precedence over environment variables
+function transportOptions() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      http: { type: "boolean", default: false },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+  });
+  if (values.config) process.env.CRYPTO_INDICATORS_CONFIG = values.config;
+  const port = Number(values.port || process.env.MCP_HTTP_PORT || 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${values.port || process.env.MCP_HTTP_PORT}`);
+  }
+  return {
+    http: values.http || process.env.MCP_TRANSPORT === "http",
+    host: values.host || process.env.MCP_HTTP_HOST || "127.0.0.1",
+    port,
+    // Only read from the environment, so the token never shows up in process listings
+    authToken: process.env.MCP_AUTH_TOKEN || undefined,
+    allowedHosts: listSetting(process.env.MCP_ALLOWED_HOSTS)?.map((host) => host.toLowerCase()),
+    allowedOrigins: listSetting(process.env.MCP_ALLOWED_ORIGINS),
+  };
+}
+
+// Serve over HTTP until SIGINT or SIGTERM, then close every session before exiting
+async function startHttp({ host, port, authToken, allowedHosts, allowedOrigins }) {
+  // Remote callers must not read files from the server's working directory
+  require("./utils/dataSources/fileSource").requireDataDir();
+  const { httpServer, close } = await startHttpServer(createServer, { host, port, authToken, allowedHosts, allowedOrigins });
+  const { address, port: boundPort } = httpServer.address();
+  console.error(`MCP server listening on http://${address}:${boundPort}${MCP_PATH}${authToken ? " (bearer token required)" : ""}`);
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.error(`Received ${signal}, shutting down`);
+    // Streams that ignore the close must not hold the process forever
+    setTimeout(() => process.exit(1), 10000).unref();
+    await close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+// Function to start the server using async/await: over stdio by default, or HTTP with --http
 async function startServer() {
-  const transport = new StdioServerTransport();
   try {
-    await server.connect(transport);
+    const options = transportOptions();
+    // Load the modules reading the config file now, so a bad setting stops startup rather than the first session
+    require("./lib");
+    if (options.http) {
+      await startHttp(options);
+    } else {
+      await createServer().connect(new StdioServerTransport());
+    }
   } catch (err) {
     console.error("Failed to start server:", err);
+    process.exitCode = 1;
   }
 }
 
@@ -1,198 +1,120 @@
-const { z } = require("zod");
 const {
   awesomeOscillator, chaikinOscillator, ichimokuCloud, percentagePriceOscillator,
   percentageVolumeOscillator, priceRateOfChange, relativeStrengthIndex,
   stochasticOscillator, williamsR,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_awesome_oscillator",
-    "Calculate the Awesome Oscillator (AO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(5).describe("Fast period for AO"),
-      slowPeriod: z.number().int().min(1).max(500).default(34).describe("Slow period for AO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+// Momentum indicator definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "awesome_oscillator",
+    title: "Awesome Oscillator (AO)",
+    interpretation: "5-period minus 34-period SMA of the median price. Above 0 momentum is bullish, below 0 bearish; zero-line crossovers signal momentum changes.",
+    fn: awesomeOscillator,
+    inputs: ["highs", "lows"],
+    params: {
+      fastPeriod: { default: 5, config: "fast" },
+      slowPeriod: { default: 34, config: "slow" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = awesomeOscillator(asset.highs, asset.lows, { fastPeriod, slowPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_chaikin_oscillator",
-    "Calculate the Chaikin Oscillator (CMO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(3).describe("Fast period for CMO"),
-      slowPeriod: z.number().int().min(1).max(500).default(10).describe("Slow period for CMO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = chaikinOscillator(asset.highs, asset.lows, asset.closings, asset.volumes, { fastPeriod, slowPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_ichimoku_cloud",
-    "Calculate the Ichimoku Cloud for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      conversionPeriod: z.number().int().min(1).max(500).default(9).describe("Conversion line period"),
-      basePeriod: z.number().int().min(1).max(500).default(26).describe("Base line period"),
-      spanPeriod: z.number().int().min(1).max(500).default(52).describe("Leading span period"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ slowPeriod }) => slowPeriod - 1,
+  },
+  {
+    name: "chaikin_oscillator",
+    title: "Chaikin Oscillator (CMO)",
+    interpretation: "Accumulation/distribution line (adResult) and the difference of its fast and slow EMAs (cmoResult). cmoResult above 0 means accumulation is accelerating, below 0 distribution.",
+    fn: chaikinOscillator,
+    inputs: ["highs", "lows", "closings", "volumes"],
+    params: {
+      fastPeriod: { default: 3, config: "fast" },
+      slowPeriod: { default: 10, config: "slow" },
     },
-    async ({ symbol, timeframe, conversionPeriod, basePeriod, spanPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = ichimokuCloud(asset.highs, asset.lows, asset.closings, { conversionPeriod, basePeriod, spanPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_percentage_price_oscillator",
-    "Calculate the Percentage Price Oscillator (PPO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for PPO"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for PPO"),
-      signalPeriod: z.number().int().min(1).max(500).default(9).describe("Signal period for PPO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["adResult", "cmoResult"],
+    warmup: ({ slowPeriod }) => slowPeriod - 1,
+  },
+  {
+    name: "ichimoku_cloud",
+    title: "Ichimoku Cloud",
+    interpretation: "Conversion (tenkan), base (kijun), leading spans A and B (ssa, ssb) and lagging span, in price units. Price above the cloud between the spans is bullish, below it bearish; ssa above ssb is a bullish cloud.",
+    fn: ichimokuCloud,
+    inputs: ["highs", "lows", "closings"],
+    params: {
+      conversionPeriod: { default: 9, config: "short", description: "Conversion line period" },
+      basePeriod: { default: 26, config: "medium", description: "Base line period" },
+      spanPeriod: { default: 52, config: "long", description: "Leading span period" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = percentagePriceOscillator(asset.closings, { fastPeriod, slowPeriod, signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_percentage_volume_oscillator",
-    "Calculate the Percentage Volume Oscillator (PVO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for PVO"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for PVO"),
-      signalPeriod: z.number().int().min(1).max(500).default(9).describe("Signal period for PVO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["tenkan", "kijun", "ssa", "ssb", "laggingSpan"],
+    warmup: ({ conversionPeriod, basePeriod, spanPeriod }) => Math.max(conversionPeriod, basePeriod, spanPeriod) - 1,
+    overlay: true,
+  },
+  {
+    name: "percentage_price_oscillator",
+    title: "Percentage Price Oscillator (PPO)",
+    interpretation: "MACD as a percent of the slow EMA, with its signal line and histogram. Comparable across assets; histogram above 0 is bullish, below 0 bearish.",
+    fn: percentagePriceOscillator,
+    inputs: ["closings"],
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
+      signalPeriod: { default: 9, config: "signal" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = percentageVolumeOscillator(asset.volumes, { fastPeriod, slowPeriod, signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_price_rate_of_change",
-    "Calculate the Price Rate of Change (ROC) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for ROC"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["ppoResult", "signal", "histogram"],
+    warmup: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod - 2,
+  },
+  {
+    name: "percentage_volume_oscillator",
+    title: "Percentage Volume Oscillator (PVO)",
+    interpretation: "Percent difference of fast and slow volume EMAs, with its signal line and histogram. Above 0 volume is expanding, below 0 contracting.",
+    fn: percentageVolumeOscillator,
+    inputs: ["volumes"],
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
+      signalPeriod: { default: 9, config: "signal" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = priceRateOfChange(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_relative_strength_index",
-    "Calculate the Relative Strength Index (RSI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for RSI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = relativeStrengthIndex(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_stochastic_oscillator",
-    "Calculate the Stochastic Oscillator (STOCH) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for STOCH"),
-      signalPeriod: z.number().int().min(1).max(500).default(3).describe("Signal period for STOCH"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = stochasticOscillator(asset.highs, asset.lows, asset.closings, { period, signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_williams_r",
-    "Calculate the Williams R (WILLR) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for WILLR"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["pvoResult", "signal", "histogram"],
+    warmup: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod - 2,
+  },
+  {
+    name: "price_rate_of_change",
+    title: "Price Rate of Change (ROC)",
+    interpretation: "Percent change of the close over the period. Above 0 price has risen, below 0 fallen; extremes relative to its history suggest exhaustion.",
+    fn: priceRateOfChange,
+    inputs: ["closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "relative_strength_index",
+    title: "Relative Strength Index (RSI)",
+    interpretation: "Momentum between 0 and 100. Above 70 is overbought, below 30 oversold; 50 separates bullish and bearish momentum.",
+    thresholds: { overbought: 70, oversold: 30, midline: 50 },
+    fn: relativeStrengthIndex,
+    inputs: ["closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "stochastic_oscillator",
+    title: "Stochastic Oscillator (STOCH)",
+    interpretation: "Position of the close within the period's range (k) and its average (d), between 0 and 100. Above 80 is overbought, below 20 oversold; k crossing d signals turns.",
+    thresholds: { overbought: 80, oversold: 20 },
+    fn: stochasticOscillator,
+    inputs: ["highs", "lows", "closings"],
+    params: {
+      period: { default: 14, config: "kPeriod" },
+      signalPeriod: { default: 3, config: "dPeriod" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = williamsR(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+    outputs: ["k", "d"],
+    warmup: ({ period, signalPeriod }) => period + signalPeriod - 2,
+  },
+  {
+    name: "williams_r",
+    title: "Williams R (WILLR)",
+    interpretation: "Position of the close within the period's range, between -100 and 0. Above -20 is overbought, below -80 oversold.",
+    thresholds: { overbought: -20, oversold: -80 },
+    fn: williamsR,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+  },
+];
@@ -1,494 +1,256 @@
-const { z } = require("zod");
 const {
-  absolutePriceOscillator, aroon, balanceOfPower, chandeForecastOscillator,
-  commodityChannelIndex, doubleExponentialMovingAverage, exponentialMovingAverage,
+  absolutePriceOscillator, aroon, balanceOfPower, movingChandeForecastOscillator,
+  communityChannelIndex, doubleExponentialMovingAverage, exponentialMovingAverage,
   massIndex, movingAverageConvergenceDivergence, movingMax, movingMin, movingSum,
-  parabolicSar, qstick, kdj, rollingMovingAverage, simpleMovingAverage, sinceChange,
+  parabolicSAR, qstick, kdj, rollingMovingAverage, simpleMovingAverage, since,
   tripleExponentialMovingAverage, triangularMovingAverage, tripleExponentialAverage,
   typicalPrice, volumeWeightedMovingAverage, vortex,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_absolute_price_oscillator",
-    "Calculate the Absolute Price Oscillator (APO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for APO"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for APO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+// Trend indicator definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "absolute_price_oscillator",
+    title: "Absolute Price Oscillator (APO)",
+    interpretation: "Fast EMA minus slow EMA in price units. Above 0 the short-term trend is up, below 0 down; zero-line crossovers mark trend changes.",
+    fn: absolutePriceOscillator,
+    inputs: ["closings"],
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = absolutePriceOscillator(asset.closings, { fastPeriod, slowPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_aroon",
-    "Calculate the Aroon Indicator for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Aroon"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = aroon(asset.highs, asset.lows, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_balance_of_power",
-    "Calculate the Balance of Power (BOP) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = balanceOfPower(asset.openings, asset.highs, asset.lows, asset.closings);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_chande_forecast_oscillator",
-    "Calculate the Chande Forecast Oscillator (CFO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for CFO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = chandeForecastOscillator(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_commodity_channel_index",
-    "Calculate the Commodity Channel Index (CCI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for CCI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = commodityChannelIndex(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_double_exponential_moving_average",
-    "Calculate the Double Exponential Moving Average (DEMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for DEMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = doubleExponentialMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_exponential_moving_average",
-    "Calculate the Exponential Moving Average (EMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for EMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ slowPeriod }) => slowPeriod - 1,
+  },
+  {
+    name: "aroon",
+    title: "Aroon Indicator",
+    interpretation: "Percent of the period since the highest high (up) and lowest low (down). Up above 70 with down below 30 is a strong uptrend, and the reverse a downtrend; crossovers of the two lines signal trend changes.",
+    thresholds: { strong: 70, weak: 30 },
+    fn: aroon,
+    inputs: ["highs", "lows"],
+    params: { period: { default: 14 } },
+    outputs: ["up", "down"],
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "balance_of_power",
+    title: "Balance of Power (BOP)",
+    interpretation: "(close - open) / (high - low), between -1 and 1. Positive values mean buyers controlled the candle, negative values sellers.",
+    fn: balanceOfPower,
+    inputs: ["openings", "highs", "lows", "closings"],
+  },
+  {
+    name: "chande_forecast_oscillator",
+    title: "Chande Forecast Oscillator (CFO)",
+    interpretation: "Percent difference between the close and its linear-regression forecast. Above 0 price is running ahead of its trend, below 0 lagging it.",
+    fn: movingChandeForecastOscillator,
+    inputs: ["closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "commodity_channel_index",
+    title: "Commodity Channel Index (CCI)",
+    interpretation: "Deviation of the typical price from its average, scaled so most values fall between -100 and 100. Above 100 is overbought or a strong uptrend, below -100 oversold or a strong downtrend.",
+    thresholds: { overbought: 100, oversold: -100 },
+    fn: communityChannelIndex,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 20 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "double_exponential_moving_average",
+    title: "Double Exponential Moving Average (DEMA)",
+    interpretation: "Trend line in price units with less lag than an EMA. Price above it suggests an uptrend, below it a downtrend.",
+    fn: doubleExponentialMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => 2 * (period - 1),
+    overlay: true,
+  },
+  {
+    name: "exponential_moving_average",
+    title: "Exponential Moving Average (EMA)",
+    interpretation: "Trend line in price units weighting recent closes more. Price above it suggests an uptrend, below it a downtrend; crossovers of fast and slow EMAs signal trend changes.",
+    fn: exponentialMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "mass_index",
+    title: "Mass Index (MI)",
+    interpretation: "Sum of the ratio of a single and double 9-period EMA of the high-low range. A rise above 27 followed by a drop below 26.5 (the reversal bulge) warns of a trend reversal.",
+    thresholds: { bulge: 27, trigger: 26.5 },
+    fn: massIndex,
+    inputs: ["highs", "lows"],
+    params: { period: { default: 25, config: "miPeriod" } },
+    // Two 9-period EMAs of the range precede the sum
+    warmup: ({ period }) => period + 15,
+  },
+  {
+    name: "moving_average_convergence_divergence",
+    title: "Moving Average Convergence Divergence (MACD)",
+    interpretation: "MACD line (fast EMA minus slow EMA) and its signal line. MACD crossing above the signal line is bullish, below bearish; the MACD sign gives the trend direction.",
+    fn: movingAverageConvergenceDivergence,
+    inputs: ["closings"],
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
+      signalPeriod: { default: 9, config: "signal" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = exponentialMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_mass_index",
-    "Calculate the Mass Index (MI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(25).describe("Period length for MI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = massIndex(asset.highs, asset.lows, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_moving_average_convergence_divergence",
-    "Calculate the MACD for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for MACD"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for MACD"),
-      signalPeriod: z.number().int().min(1).max(500).default(9).describe("Signal period for MACD"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = movingAverageConvergenceDivergence(asset.closings, { fastPeriod, slowPeriod, signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_moving_max",
-    "Calculate the Moving Max (MMAX) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for MMAX"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = movingMax(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_moving_min",
-    "Calculate the Moving Min (MMIN) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for MMIN"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = movingMin(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_moving_sum",
-    "Calculate the Moving Sum (MSUM) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for MSUM"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = movingSum(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_parabolic_sar",
-    "Calculate the Parabolic SAR (PSAR) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      accelerationFactorStep: z.number().min(0.001).max(1).default(0.02).describe("Acceleration factor step for PSAR"),
-      accelerationFactorMax: z.number().min(0.01).max(1).default(0.2).describe("Maximum acceleration factor for PSAR"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["macdLine", "signalLine"],
+    warmup: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod - 2,
+  },
+  {
+    name: "moving_max",
+    title: "Moving Max (MMAX)",
+    interpretation: "Highest close over the period, in price units; a close at this level is a new period high (resistance or breakout).",
+    fn: movingMax,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "moving_min",
+    title: "Moving Min (MMIN)",
+    interpretation: "Lowest close over the period, in price units; a close at this level is a new period low (support or breakdown).",
+    fn: movingMin,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "moving_sum",
+    title: "Moving Sum (MSUM)",
+    interpretation: "Sum of the closes over the period; mostly a building block for other indicators.",
+    fn: movingSum,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "parabolic_sar",
+    title: "Parabolic SAR (PSAR)",
+    interpretation: "Stop-and-reverse level in price units (psarResult) and trend direction (trends: 1 up, -1 down). Price above the SAR is an uptrend and the SAR is a trailing stop; a flip of trends marks a reversal.",
+    fn: parabolicSAR,
+    inputs: ["highs", "lows", "closings"],
+    params: {
+      accelerationFactorStep: { type: "number", default: 0.02, min: 0.001, max: 1, config: "step", description: "Acceleration factor step" },
+      accelerationFactorMax: { type: "number", default: 0.2, min: 0.01, max: 1, config: "max", description: "Maximum acceleration factor" },
     },
-    async ({ symbol, timeframe, accelerationFactorStep, accelerationFactorMax, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = parabolicSar(asset.highs, asset.lows, { accelerationFactorStep, accelerationFactorMax });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_qstick",
-    "Calculate the Qstick Indicator for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Qstick"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = qstick(asset.openings, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_kdj",
-    "Calculate the Random Index (KDJ) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(9).describe("Period length for KDJ"),
-      signalPeriod: z.number().int().min(1).max(500).default(3).describe("Signal period for KDJ"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = kdj(asset.highs, asset.lows, asset.closings, { period, signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_rolling_moving_average",
-    "Calculate the Rolling Moving Average (RMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for RMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = rollingMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_simple_moving_average",
-    "Calculate the Simple Moving Average (SMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for SMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = simpleMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_since_change",
-    "Calculate the Since Change for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = sinceChange(asset.closings);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_triple_exponential_moving_average",
-    "Calculate the Triple Exponential Moving Average (TEMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for TEMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = tripleExponentialMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_triangular_moving_average",
-    "Calculate the Triangular Moving Average (TRIMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(10).describe("Period length for TRIMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = triangularMovingAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_triple_exponential_average",
-    "Calculate the Triple Exponential Average (TRIX) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(15).describe("Period length for TRIX"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = tripleExponentialAverage(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_typical_price",
-    "Calculate the Typical Price for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = typicalPrice(asset.highs, asset.lows, asset.closings);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_volume_weighted_moving_average",
-    "Calculate the Volume Weighted Moving Average (VWMA) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for VWMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = volumeWeightedMovingAverage(asset.closings, asset.volumes, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_vortex",
-    "Calculate the Vortex Indicator for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Vortex"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    outputs: ["trends", "psarResult"],
+    warmup: 1,
+    overlay: ["psarResult"],
+  },
+  {
+    name: "qstick",
+    title: "Qstick Indicator",
+    interpretation: "Moving average of close minus open. Above 0 candles have mostly closed higher (buying pressure), below 0 lower (selling pressure).",
+    fn: qstick,
+    inputs: ["openings", "closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "kdj",
+    title: "Random Index (KDJ)",
+    interpretation: "Stochastic K and D lines with J = 3K - 2D. K above 80 is overbought and below 20 oversold; K crossing above D in oversold territory is bullish, below D in overbought territory bearish.",
+    thresholds: { overbought: 80, oversold: 20 },
+    fn: kdj,
+    inputs: ["highs", "lows", "closings"],
+    params: {
+      period: { default: 9, config: "rPeriod" },
+      signalPeriod: { default: 3, config: ["kPeriod", "dPeriod"], description: "Smoothing period of the K and D lines" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = vortex(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+    outputs: ["k", "d", "j"],
+    warmup: ({ period, signalPeriod }) => period + 2 * (signalPeriod - 1) - 1,
+  },
+  {
+    name: "rolling_moving_average",
+    title: "Rolling Moving Average (RMA)",
+    interpretation: "Wilder's smoothed moving average in price units. Price above it suggests an uptrend, below it a downtrend.",
+    fn: rollingMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "simple_moving_average",
+    title: "Simple Moving Average (SMA)",
+    interpretation: "Average close over the period, in price units. Price above it suggests an uptrend, below it a downtrend; common periods are 20, 50 and 200.",
+    fn: simpleMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "since_change",
+    title: "Since Change",
+    interpretation: "Number of candles since the close last changed; long runs mean a flat or illiquid market.",
+    fn: since,
+    inputs: ["closings"],
+  },
+  {
+    name: "triple_exponential_moving_average",
+    title: "Triple Exponential Moving Average (TEMA)",
+    interpretation: "Trend line in price units with less lag than a DEMA. Price above it suggests an uptrend, below it a downtrend.",
+    fn: tripleExponentialMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => 3 * (period - 1),
+    overlay: true,
+  },
+  {
+    name: "triangular_moving_average",
+    title: "Triangular Moving Average (TRIMA)",
+    interpretation: "Doubly smoothed average in price units, weighting the middle of the period. Slow to turn; useful to confirm the prevailing trend.",
+    fn: triangularMovingAverage,
+    inputs: ["closings"],
+    params: { period: { default: 10 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "triple_exponential_average",
+    title: "Triple Exponential Average (TRIX)",
+    interpretation: "Rate of change of a triple-smoothed EMA, as a fraction. Above 0 momentum is up, below 0 down; zero-line crossovers signal trend changes.",
+    fn: tripleExponentialAverage,
+    inputs: ["closings"],
+    params: { period: { default: 15 } },
+    warmup: ({ period }) => 3 * (period - 1) + 1,
+  },
+  {
+    name: "typical_price",
+    title: "Typical Price",
+    interpretation: "(high + low + close) / 3 of each candle, in price units; a representative price used by other indicators.",
+    fn: typicalPrice,
+    inputs: ["highs", "lows", "closings"],
+    overlay: true,
+  },
+  {
+    name: "volume_weighted_moving_average",
+    title: "Volume Weighted Moving Average (VWMA)",
+    interpretation: "Average close weighted by volume, in price units. When it is above the simple average, volume backs rising prices.",
+    fn: volumeWeightedMovingAverage,
+    inputs: ["closings", "volumes"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "vortex",
+    title: "Vortex Indicator",
+    interpretation: "Positive (plus) and negative (minus) trend movement. Plus above minus is an uptrend, minus above plus a downtrend; crossovers signal trend changes.",
+    fn: vortex,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 14 } },
+    outputs: ["plus", "minus"],
+    warmup: ({ period }) => period,
+  },
+];
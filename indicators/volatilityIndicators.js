@@ -1,232 +1,121 @@
-const { z } = require("zod");
 const {
   accelerationBands, averageTrueRange, bollingerBands, bollingerBandsWidth,
   chandelierExit, donchianChannel, keltnerChannel, movingStandardDeviation,
   projectionOscillator, trueRange, ulcerIndex,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_acceleration_bands",
-    "Calculate the Acceleration Bands (AB) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for AB"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = accelerationBands(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_average_true_range",
-    "Calculate the Average True Range (ATR) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for ATR"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = averageTrueRange(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_bollinger_bands",
-    "Calculate the Bollinger Bands (BB) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for BB"),
-      stdDev: z.number().min(0.1).max(10).default(2).describe("Standard deviation multiplier"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, stdDev, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = bollingerBands(asset.closings, { period, stdDev });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_bollinger_bands_width",
-    "Calculate the Bollinger Bands Width (BBW) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for BBW"),
-      stdDev: z.number().min(0.1).max(10).default(2).describe("Standard deviation multiplier"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, stdDev, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = bollingerBandsWidth(asset.closings, { period, stdDev });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_chandelier_exit",
-    "Calculate the Chandelier Exit (CE) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(22).describe("Period length for CE"),
-      multiplier: z.number().min(0.1).max(10).default(3).describe("Multiplier for CE"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, multiplier, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = chandelierExit(asset.highs, asset.lows, asset.closings, { period, multiplier });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_donchian_channel",
-    "Calculate the Donchian Channel (DC) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for DC"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = donchianChannel(asset.highs, asset.lows, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_keltner_channel",
-    "Calculate the Keltner Channel (KC) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for KC"),
-      multiplier: z.number().min(0.1).max(10).default(2).describe("Multiplier for KC"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, multiplier, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = keltnerChannel(asset.highs, asset.lows, asset.closings, { period, multiplier });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_moving_standard_deviation",
-    "Calculate the Moving Standard Deviation (MSTD) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for MSTD"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = movingStandardDeviation(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_projection_oscillator",
-    "Calculate the Projection Oscillator (PO) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for PO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = projectionOscillator(asset.highs, asset.lows, asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_true_range",
-    "Calculate the True Range (TR) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = trueRange(asset.highs, asset.lows, asset.closings);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_ulcer_index",
-    "Calculate the Ulcer Index (UI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for UI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = ulcerIndex(asset.closings, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+// Volatility indicator definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "acceleration_bands",
+    title: "Acceleration Bands (AB)",
+    interpretation: "Bands in price units around an SMA, widened by the high-low range. A close above the upper band signals a breakout, below the lower band a breakdown.",
+    fn: accelerationBands,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 20 } },
+    outputs: ["upper", "middle", "lower"],
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "average_true_range",
+    title: "Average True Range (ATR)",
+    interpretation: "True range of each candle (trLine) and its average (atrLine), in price units. Higher values mean more volatility; commonly used to size stops, e.g. 2 × ATR.",
+    fn: averageTrueRange,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 14 } },
+    outputs: ["trLine", "atrLine"],
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "bollinger_bands",
+    title: "Bollinger Bands (BB)",
+    interpretation: "SMA (middle) with bands 2 standard deviations above and below, in price units. Closes outside the bands are stretched (possible reversal or breakout); narrow bands precede volatility expansions.",
+    fn: bollingerBands,
+    inputs: ["closings"],
+    params: { period: { default: 20 } },
+    outputs: ["upper", "middle", "lower"],
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "bollinger_bands_width",
+    title: "Bollinger Bands Width (BBW)",
+    interpretation: "Distance between the Bollinger Bands relative to the middle band (width) and its 90-period EMA (widthEma). Width below its EMA is a squeeze that often precedes a large move.",
+    // Width of the bands, and its 90-period EMA
+    fn: (closings, { period }) => bollingerBandsWidth(bollingerBands(closings, { period })),
+    inputs: ["closings"],
+    params: { period: { default: 20 } },
+    outputs: ["width", "widthEma"],
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "chandelier_exit",
+    title: "Chandelier Exit (CE)",
+    interpretation: "Trailing stop levels in price units: long (highest high minus 3 × ATR) for long positions and short (lowest low plus 3 × ATR) for short positions. A close through the level signals an exit.",
+    fn: chandelierExit,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 22 } },
+    outputs: ["long", "short"],
+    warmup: ({ period }) => period,
+    overlay: true,
+  },
+  {
+    name: "donchian_channel",
+    title: "Donchian Channel (DC)",
+    interpretation: "Highest and lowest close over the period and their midpoint, in price units. A close at the upper band is a breakout, at the lower band a breakdown.",
+    fn: donchianChannel,
+    inputs: ["closings"],
+    params: { period: { default: 20 } },
+    outputs: ["upper", "middle", "lower"],
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+  {
+    name: "keltner_channel",
+    title: "Keltner Channel (KC)",
+    interpretation: "EMA (middle) with bands 2 × ATR above and below, in price units. Closes outside the bands signal strong trends or overextension.",
+    fn: keltnerChannel,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 20 } },
+    outputs: ["middle", "upper", "lower"],
+    warmup: ({ period }) => period,
+    overlay: true,
+  },
+  {
+    name: "moving_standard_deviation",
+    title: "Moving Standard Deviation (MSTD)",
+    interpretation: "Standard deviation of the closes over the period, in price units. Higher values mean more volatility.",
+    fn: movingStandardDeviation,
+    inputs: ["closings"],
+    params: { period: { default: 20 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "projection_oscillator",
+    title: "Projection Oscillator (PO)",
+    interpretation: "Position of the close within bands projected from linear regressions of highs and lows (poResult, 0 to 100) and its smoothed line (spoResult). Above 80 is near the upper band, below 20 near the lower; crossovers signal turns.",
+    thresholds: { upper: 80, lower: 20 },
+    fn: projectionOscillator,
+    inputs: ["highs", "lows", "closings"],
+    params: { period: { default: 14 } },
+    outputs: ["poResult", "spoResult"],
+    warmup: ({ period }) => period + 1,
+  },
+  {
+    name: "true_range",
+    title: "True Range (TR)",
+    interpretation: "Greatest of high - low, |high - previous close| and |low - previous close|, in price units: the volatility of each candle including gaps.",
+    fn: trueRange,
+    inputs: ["highs", "lows", "closings"],
+  },
+  {
+    name: "ulcer_index",
+    title: "Ulcer Index (UI)",
+    interpretation: "Depth and duration of drawdowns from the period high, as a percent. Higher values mean deeper or longer declines; lower is a calmer market.",
+    fn: ulcerIndex,
+    inputs: ["closings"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => 2 * (period - 1),
+  },
+];
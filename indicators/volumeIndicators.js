@@ -1,184 +1,85 @@
-const { z } = require("zod");
 const {
   accumulationDistribution, chaikinMoneyFlow, easeOfMovement, forceIndex,
   moneyFlowIndex, negativeVolumeIndex, onBalanceVolume, volumePriceTrend,
   volumeWeightedAveragePrice,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_accumulation_distribution",
-    "Calculate the Accumulation/Distribution (AD) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = accumulationDistribution(asset.highs, asset.lows, asset.closings, asset.volumes);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_chaikin_money_flow",
-    "Calculate the Chaikin Money Flow (CMF) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(20).describe("Period length for CMF"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = chaikinMoneyFlow(asset.highs, asset.lows, asset.closings, asset.volumes, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_ease_of_movement",
-    "Calculate the Ease of Movement (EMV) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for EMV"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = easeOfMovement(asset.highs, asset.lows, asset.volumes, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_force_index",
-    "Calculate the Force Index (FI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(13).describe("Period length for FI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = forceIndex(asset.closings, asset.volumes, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_money_flow_index",
-    "Calculate the Money Flow Index (MFI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for MFI"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = moneyFlowIndex(asset.highs, asset.lows, asset.closings, asset.volumes, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_negative_volume_index",
-    "Calculate the Negative Volume Index (NVI) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = negativeVolumeIndex(asset.closings, asset.volumes);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_on_balance_volume",
-    "Calculate the On-Balance Volume (OBV) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = onBalanceVolume(asset.closings, asset.volumes);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_volume_price_trend",
-    "Calculate the Volume Price Trend (VPT) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = volumePriceTrend(asset.closings, asset.volumes);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_volume_weighted_average_price",
-    "Calculate the Volume Weighted Average Price (VWAP) for a given trading pair using Binance OHLCV data",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = volumeWeightedAveragePrice(asset.highs, asset.lows, asset.closings, asset.volumes);
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+// Volume indicator definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "accumulation_distribution",
+    title: "Accumulation/Distribution (AD)",
+    interpretation: "Running total of volume weighted by where each candle closed in its range. A rising line means accumulation (buying), falling distribution (selling); divergence from price warns of reversals.",
+    fn: accumulationDistribution,
+    inputs: ["highs", "lows", "closings", "volumes"],
+  },
+  {
+    name: "chaikin_money_flow",
+    title: "Chaikin Money Flow (CMF)",
+    interpretation: "Money-flow volume over the period relative to total volume, between -1 and 1. Above 0.05 shows buying pressure, below -0.05 selling pressure.",
+    thresholds: { buying: 0.05, selling: -0.05 },
+    fn: chaikinMoneyFlow,
+    inputs: ["highs", "lows", "closings", "volumes"],
+    params: { period: { default: 20 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "ease_of_movement",
+    title: "Ease of Movement (EMV)",
+    interpretation: "Price change relative to volume, smoothed. Above 0 price rises easily on light volume, below 0 falls easily; near 0 moves need heavy volume.",
+    fn: easeOfMovement,
+    inputs: ["highs", "lows", "volumes"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "force_index",
+    title: "Force Index (FI)",
+    interpretation: "EMA of price change × volume. Above 0 bulls are in control, below 0 bears; the size shows the strength of the move.",
+    fn: forceIndex,
+    inputs: ["closings", "volumes"],
+    params: { period: { default: 13 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "money_flow_index",
+    title: "Money Flow Index (MFI)",
+    interpretation: "Volume-weighted RSI between 0 and 100. Above 80 is overbought, below 20 oversold.",
+    thresholds: { overbought: 80, oversold: 20 },
+    fn: moneyFlowIndex,
+    inputs: ["highs", "lows", "closings", "volumes"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "negative_volume_index",
+    title: "Negative Volume Index (NVI)",
+    interpretation: "Index starting at 1000 that changes only on candles with lower volume than the previous one, tracking quiet-market (smart money) activity. Above its moving average is bullish.",
+    fn: negativeVolumeIndex,
+    inputs: ["closings", "volumes"],
+  },
+  {
+    name: "on_balance_volume",
+    title: "On-Balance Volume (OBV)",
+    interpretation: "Running total adding volume on up closes and subtracting it on down closes. A rising line confirms an uptrend; divergence from price warns of reversals.",
+    fn: onBalanceVolume,
+    inputs: ["closings", "volumes"],
+  },
+  {
+    name: "volume_price_trend",
+    title: "Volume Price Trend (VPT)",
+    interpretation: "Running total of volume × percent price change. A rising line confirms an uptrend, a falling line a downtrend.",
+    fn: volumePriceTrend,
+    inputs: ["closings", "volumes"],
+  },
+  {
+    name: "volume_weighted_average_price",
+    title: "Volume Weighted Average Price (VWAP)",
+    interpretation: "Average close weighted by volume over the period, in price units. Price above it is bullish, below bearish; often used as a fair-value reference.",
+    fn: volumeWeightedAveragePrice,
+    inputs: ["closings", "volumes"],
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+    overlay: true,
+  },
+];
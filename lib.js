@@ -0,0 +1,115 @@
+// Library entry point: the indicator, strategy and candle functions behind the MCP tools, for
+// Node code that does not go through an MCP client. The tools are adapters over these, so both
+// produce the same numbers.
+const registry = require("./utils/indicatorRegistry");
+const { DEFAULT_LIMIT, MAX_LIMIT, fetchOhlcvData, fetchOhlcvRows, toAsset } = require("./utils/fetchOhlcvData");
+const { parseCsv, parseOhlcvJson } = require("./utils/parseOhlcv");
+const { ALLOWED_EXCHANGES, DEFAULT_EXCHANGE } = require("./utils/exchanges");
+const { findMarkets } = require("./utils/markets");
+const { CANDLE_TYPES, transformCandles } = require("./utils/candleTransforms");
+const { GAP_POLICIES, analyzeOhlcv, applyGapPolicy } = require("./utils/ohlcvQuality");
+const { alignResult } = require("./utils/toolResult");
+const { runBacktest } = require("./utils/backtest");
+const {
+  ERROR_CODES, ToolError, ExchangeUnavailableError, SymbolNotFoundError, InsufficientDataError, InvalidParamsError, errorCode,
+} = require("./utils/toolErrors");
+
+const ASSET_FIELDS = ["dates", "openings", "highs", "lows", "closings", "volumes"];
+
+function definitionFor(name) {
+  const definition = typeof name === "string" && registry.getIndicator(name);
+  if (!definition) throw new InvalidParamsError(`Unknown indicator: ${name}. See INDICATORS for the names`);
+  return definition;
+}
+
+function checkAsset(asset) {
+  const length = asset && Array.isArray(asset.dates) ? asset.dates.length : -1;
+  if (!ASSET_FIELDS.every((field) => Array.isArray(asset && asset[field]) && asset[field].length === length)) {
+    throw new InvalidParamsError(`asset must have ${ASSET_FIELDS.join(", ")} arrays of equal length`);
+  }
+}
+
+// Asset from candles in any format the `ohlcv` tool argument accepts: [[ts, o, h, l, c, v], ...],
+// [{ timestamp, open, ... }, ...] or a column object. Rows are sorted by time.
+function candlesToAsset(candles) {
+  return toAsset(parseOhlcvJson(candles).sort((a, b) => a[0] - b[0]));
+}
+
+// Compute an indicator or strategy by name (e.g. "relative_strength_index"; a "calculate_" prefix
+// is ignored) on `asset`, with defaults for missing params.
+// Returns { result, warmupPeriod }: the series, or object of series, aligned with the candles, and
+// how many leading values were computed from too few candles.
+function computeIndicator(name, asset, params = {}) {
+  const definition = definitionFor(name);
+  checkAsset(asset);
+  return registry.computeIndicator(definition, asset, params);
+}
+
+// Run a strategy by name on `asset`. Returns { actions, warmupPeriod }, actions being 1 (BUY),
+// 0 (HOLD) or -1 (SELL) per candle.
+function runStrategy(name, asset, params = {}) {
+  const definition = definitionFor(name);
+  if (definition.kind !== "strategy") {
+    throw new InvalidParamsError(`${definition.name} is not a strategy; use computeIndicator`);
+  }
+  checkAsset(asset);
+  const { result, warmupPeriod } = registry.computeIndicator(definition, asset, params);
+  return { actions: result, warmupPeriod };
+}
+
+// Backtest a strategy by name on `asset`: its actions are filled at the next candle's open (see
+// utils/backtest.js). Options: params, initialCapital (default 10000), feeRate and slippage as
+// fractions (default 0), allowShort (default false).
+// Returns { series, trades, summary, params, warmupPeriod }, series being per-candle equity,
+// position, drawdownPercent and buyAndHold.
+function backtestStrategy(name, asset, { params = {}, ...options } = {}) {
+  const definition = definitionFor(name);
+  const { actions, warmupPeriod } = runStrategy(name, asset, params);
+  const backtest = runBacktest(asset, actions, { ...options, warmupPeriod });
+  return { ...backtest, params: registry.resolveParams(definition, params), warmupPeriod };
+}
+
+// Compute several indicators and strategies, given as [{ name, params, as }] like calculate_batch,
+// on one asset. Returns { table, columns, warmupPeriod }: a series per column, each column's
+// indicator, parameters and warmup, and the longest warmup.
+function computeBatch(indicators, asset) {
+  const specs = registry.batchColumns(indicators.map((spec) => ({ ...spec, name: definitionFor(spec.name).name })));
+  checkAsset(asset);
+  return registry.computeBatch(specs, asset);
+}
+
+module.exports = {
+  // Indicators and strategies
+  INDICATORS: registry.INDICATORS,
+  getIndicator: registry.getIndicator,
+  computeIndicator,
+  runStrategy,
+  backtestStrategy,
+  runBacktest,
+  computeBatch,
+  alignResult,
+  // Candles
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ALLOWED_EXCHANGES,
+  DEFAULT_EXCHANGE,
+  fetchOhlcvData,
+  fetchOhlcvRows,
+  findMarkets,
+  candlesToAsset,
+  toAsset,
+  parseCsv,
+  CANDLE_TYPES,
+  transformCandles,
+  GAP_POLICIES,
+  analyzeOhlcv,
+  applyGapPolicy,
+  // Errors
+  ERROR_CODES,
+  ToolError,
+  ExchangeUnavailableError,
+  SymbolNotFoundError,
+  InsufficientDataError,
+  InvalidParamsError,
+  errorCode,
+};
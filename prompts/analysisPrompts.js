@@ -0,0 +1,225 @@
+const { z } = require("zod");
+const { symbolSchema, timeframeSchema, DEFAULT_TIMEFRAME } = require("../utils/toolParams");
+const { timeframeToMs } = require("../utils/timeframes");
+const { getIndicator } = require("../utils/indicatorRegistry");
+const { isEnabled } = require("../utils/config");
+
+// Timeframes offered as higher-timeframe context, shortest first, less any the config file does not enable
+const CONTEXT_TIMEFRAMES = ["15m", "1h", "4h", "1d", "1w"].filter((timeframe) => timeframeSchema.safeParse(timeframe).success);
+
+const promptArgs = {
+  symbol: symbolSchema.describe("Trading pair, e.g. 'BTC/USDT'"),
+  timeframe: timeframeSchema.optional().describe(`Candle timeframe of the analysis, e.g. '4h' (default ${DEFAULT_TIMEFRAME})`),
+};
+
+// Up to two standard timeframes longer than `timeframe`, to check it against
+function higherTimeframes(timeframe) {
+  const ms = timeframeToMs(timeframe);
+  return CONTEXT_TIMEFRAMES.filter((candidate) => timeframeToMs(candidate) > ms).slice(0, 2);
+}
+
+// "`tool` with {args}" as a model-readable tool call
+function call(tool, args) {
+  return `\`${tool}\` with \`${JSON.stringify(args)}\``;
+}
+
+// Numbered steps, skipping those that do not apply (null)
+function steps(list) {
+  return list.filter(Boolean).map((step, i) => `${i + 1}. ${step}`).join("\n");
+}
+
+// Steps only name tools this server serves, as the config file can disable tool groups and
+// indicator categories; steps left with nothing to call are null.
+
+// `indicators` on one fetch with calculate_batch, or a calculate_<name> call each when the batch
+// tool is disabled. Indicators of disabled categories are dropped.
+function indicatorsStep(args, indicators, purpose) {
+  const served = indicators.filter(({ name }) => getIndicator(name));
+  if (served.length === 0) return null;
+  if (isEnabled("batch")) return `Call ${call("calculate_batch", { ...args, indicators: served })} ${purpose}`;
+  const calls = served.map(({ name, params }) => call(getIndicator(name).tool, { ...args, ...params }));
+  return `Call ${calls.join(", ")} ${purpose}`;
+}
+
+// The latest candles themselves, as indicator tables carry no prices
+function candlesStep(symbol, timeframe, lastN, purpose) {
+  if (!isEnabled("data")) return null;
+  return `Call ${call("transform_candles", { symbol, timeframe, candleType: "time", lastN })} ${purpose}`;
+}
+
+function qualityStep(symbol, timeframe, limit, purpose) {
+  if (!isEnabled("data")) return null;
+  return `Call ${call("check_ohlcv_quality", { symbol, timeframe, limit })}${purpose}`;
+}
+
+function confluenceStep(symbol, timeframe, strategies, purpose) {
+  const higher = higherTimeframes(timeframe);
+  const served = strategies.filter((name) => getIndicator(name));
+  if (!isEnabled("confluence") || higher.length === 0 || served.length === 0) return null;
+  return `Call ${call("analyze_confluence", {
+    symbol,
+    timeframes: [timeframe, ...higher],
+    strategies: served.map((name) => ({ name })),
+    lastN: 1,
+  })} ${purpose}`;
+}
+
+function userMessage(text) {
+  return { messages: [{ role: "user", content: { type: "text", text } }] };
+}
+
+function technicalReview({ symbol, timeframe = DEFAULT_TIMEFRAME }) {
+  return userMessage(`Give a full technical review of ${symbol} on the ${timeframe} timeframe using the crypto indicator tools. Work through these steps:
+
+${steps([
+    qualityStep(symbol, timeframe, 300, ". If it reports gaps or outliers, say so and pass a gapPolicy to the later calls."),
+    indicatorsStep({ symbol, timeframe, limit: 300, lastN: 5 }, [
+      { name: "exponential_moving_average", params: { period: 20 } },
+      { name: "exponential_moving_average", params: { period: 50 } },
+      { name: "exponential_moving_average", params: { period: 200 } },
+      { name: "moving_average_convergence_divergence" },
+      { name: "aroon" },
+      { name: "relative_strength_index" },
+      { name: "stochastic_oscillator" },
+      { name: "bollinger_bands" },
+      { name: "average_true_range" },
+      { name: "on_balance_volume" },
+      { name: "chaikin_money_flow" },
+    ], "for trend, momentum, volatility and volume on the same candles."),
+    candlesStep(symbol, timeframe, 5, "for the latest prices to compare with those values."),
+    confluenceStep(symbol, timeframe, ["macd_strategy", "aroon_strategy", "ichimoku_cloud_strategy"], "to see whether longer timeframes agree."),
+    isEnabled("discovery") && "Where a reading is unclear, call `describe_indicator` for its interpretation and thresholds rather than guessing.",
+  ])}
+
+Then report, citing the values and candle times you used:
+- Trend: price against the 20/50/200 EMAs, MACD and Aroon.
+- Momentum: RSI and stochastic, including overbought or oversold readings.
+- Volatility: Bollinger Band position and ATR.
+- Volume: whether OBV and Chaikin Money Flow confirm the price move.
+- Higher timeframes: the confluence score and which timeframes disagree.
+- Overall bias (bullish, bearish or neutral) with a confidence level, and what would invalidate it.
+
+Only state values returned by the tools. This is technical analysis, not financial advice.`);
+}
+
+function entryExitCheck({ symbol, timeframe = DEFAULT_TIMEFRAME, side = "long" }) {
+  return userMessage(`Check whether now is a reasonable ${side} entry or exit on ${symbol} on the ${timeframe} timeframe using the crypto indicator tools. Work through these steps:
+
+${steps([
+    indicatorsStep({ symbol, timeframe, limit: 300, lastN: 10 }, [
+      { name: "macd_strategy" },
+      { name: "rsi2_strategy" },
+      { name: "bollinger_bands_strategy" },
+      { name: "parabolic_sar_strategy" },
+      { name: "stochastic_oscillator_strategy" },
+      { name: "money_flow_index_strategy" },
+    ], "for the latest strategy signals (1 BUY, 0 HOLD, -1 SELL) and how recently they changed."),
+    indicatorsStep({ symbol, timeframe, limit: 300, lastN: 1 }, [
+      { name: "average_true_range" },
+      { name: "chandelier_exit" },
+      { name: "parabolic_sar" },
+      { name: "donchian_channel" },
+    ], "for stop and target levels."),
+    candlesStep(symbol, timeframe, 1, "for the latest close, to measure those levels from."),
+    confluenceStep(symbol, timeframe, ["macd_strategy", "parabolic_sar_strategy", "rsi2_strategy"], "to check the signal against longer timeframes."),
+  ])}
+
+Then answer:
+- Signal: enter, exit, or wait for a ${side} position, and which strategies support or contradict it.
+- Timing: whether the supporting signals are fresh (last few candles) or stale.
+- Risk: a stop level from the chandelier exit or parabolic SAR, its distance in ATRs, and a target from the Donchian channel.
+- Higher-timeframe agreement from the confluence score.
+- What would change the answer.
+
+Only state values returned by the tools. This is technical analysis, not financial advice.`);
+}
+
+function volatilityAssessment({ symbol, timeframe = DEFAULT_TIMEFRAME }) {
+  return userMessage(`Assess the volatility of ${symbol} on the ${timeframe} timeframe using the crypto indicator tools. Work through these steps:
+
+${steps([
+    indicatorsStep({ symbol, timeframe, limit: 500, lastN: 100 }, [
+      { name: "average_true_range" },
+      { name: "bollinger_bands_width" },
+      { name: "moving_standard_deviation" },
+      { name: "ulcer_index" },
+      { name: "bollinger_bands" },
+      { name: "keltner_channel" },
+    ], "to compare the latest volatility with the last 100 candles."),
+    candlesStep(symbol, timeframe, 1, "for the latest close, to express ATR as a percentage."),
+    qualityStep(symbol, timeframe, 500, " so that outlier wicks or gaps are not mistaken for volatility."),
+  ])}
+
+Then report:
+- Current ATR in price terms and as a percentage of the close, and where it ranks among the last 100 candles.
+- Whether the Bollinger Band width is expanding or contracting, and whether the bands are inside the Keltner channel (a squeeze that often precedes a breakout).
+- Drawdown stress from the ulcer index.
+- The regime (compressed, normal or expanded volatility) and what it implies for position sizing and stop distance.
+
+Only state values returned by the tools. This is technical analysis, not financial advice.`);
+}
+
+function divergenceCheck({ symbol, timeframe = DEFAULT_TIMEFRAME }) {
+  return userMessage(`Look for divergences between price and momentum or volume on ${symbol} on the ${timeframe} timeframe using the crypto indicator tools. Work through these steps:
+
+${steps([
+    indicatorsStep({ symbol, timeframe, limit: 300, lastN: 60 }, [
+      { name: "relative_strength_index" },
+      { name: "moving_average_convergence_divergence" },
+      { name: "on_balance_volume" },
+      { name: "money_flow_index" },
+    ], "for the last 60 candles."),
+    candlesStep(symbol, timeframe, 60, "for the same 60 candles' prices."),
+    "Find the two most recent swing highs and swing lows in price: a swing high is a candle whose high exceeds the highs of the 2 candles on each side, and a swing low the same for lows.",
+    "At those swings, compare price with RSI, the MACD line, OBV and MFI. Bearish divergence: a higher price high with a lower indicator high. Bullish divergence: a lower price low with a higher indicator low. Hidden divergences are the reverse and point to trend continuation.",
+  ])}
+
+Then report each divergence found with the candle times and values of both swings, its type, and which indicators confirm it. If there is none, say so plainly instead of stretching the data.
+
+Only state values returned by the tools. This is technical analysis, not financial advice.`);
+}
+
+module.exports = (server) => {
+  server.registerPrompt(
+    "technical_review",
+    {
+      title: "Full Technical Review",
+      description: "Trend, momentum, volatility and volume review of a pair, checked against longer timeframes",
+      argsSchema: promptArgs,
+    },
+    technicalReview
+  );
+
+  server.registerPrompt(
+    "entry_exit_check",
+    {
+      title: "Entry/Exit Check",
+      description: "Whether strategy signals support entering or exiting a position now, with stop and target levels",
+      argsSchema: {
+        ...promptArgs,
+        side: z.enum(["long", "short"]).optional().describe("Position side to check (default long)"),
+      },
+    },
+    entryExitCheck
+  );
+
+  server.registerPrompt(
+    "volatility_assessment",
+    {
+      title: "Volatility Assessment",
+      description: "Current volatility regime of a pair against its recent history, with squeeze detection",
+      argsSchema: promptArgs,
+    },
+    volatilityAssessment
+  );
+
+  server.registerPrompt(
+    "divergence_check",
+    {
+      title: "Divergence Check",
+      description: "Regular and hidden divergences between price and RSI, MACD, OBV and MFI",
+      argsSchema: promptArgs,
+    },
+    divergenceCheck
+  );
+};
@@ -0,0 +1,229 @@
+const { ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const {
+  McpError, ErrorCode, SubscribeRequestSchema, UnsubscribeRequestSchema,
+} = require("@modelcontextprotocol/sdk/types.js");
+const { fetchOhlcvData, MAX_LIMIT } = require("../utils/fetchOhlcvData");
+const { ALLOWED_EXCHANGES, DEFAULT_EXCHANGE } = require("../utils/exchanges");
+const { cachedSeries, onCacheChange } = require("../utils/ohlcvCache");
+const { getIndicator, computeIndicator } = require("../utils/indicatorRegistry");
+const { alignResult } = require("../utils/toolResult");
+const { candleOpenTime, nextCandleTime } = require("../utils/timeframes");
+const { symbolSchema, timeframeSchema } = require("../utils/toolParams");
+const { ERROR_CODES, InvalidParamsError, errorCode } = require("../utils/toolErrors");
+
+// Delay after a candle's scheduled close before subscribers are told, so the exchange has published it
+const UPDATE_DELAY_MS = 2000;
+// Candles in a resource unless the URI asks for another `limit`
+const RESOURCE_LIMIT = 100;
+// Longest delay setTimeout accepts; monthly candles are waited for in several steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Symbols appear in URIs as BASE-QUOTE ("BTC-USDT"); others, such as synthetic instruments, are
+// percent-encoded
+function symbolToSegment(symbol) {
+  return /^[A-Za-z0-9]+\/[A-Za-z0-9]+$/.test(symbol) ? symbol.replace("/", "-") : encodeURIComponent(symbol);
+}
+
+function segmentToSymbol(segment) {
+  const decoded = decodeURIComponent(segment);
+  const symbol = decoded.includes("/") ? decoded : decoded.replace("-", "/");
+  if (!symbolSchema.safeParse(symbol).success) throw new InvalidParamsError(`Invalid symbol in URI: ${decoded}`);
+  return symbol;
+}
+
+function parseTimeframeSegment(segment) {
+  if (!timeframeSchema.safeParse(segment).success) throw new InvalidParamsError(`Invalid timeframe in URI: ${segment}`);
+  return segment;
+}
+
+function parseExchange(exid) {
+  if (!ALLOWED_EXCHANGES.has(exid)) {
+    throw new InvalidParamsError(`Unsupported exchange: "${exid}". Allowed: ${[...ALLOWED_EXCHANGES].join(", ")}`);
+  }
+  return exid;
+}
+
+function parseLimit(value) {
+  if (value === null) return RESOURCE_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw new InvalidParamsError(`Invalid limit in URI: ${value}`);
+  if (limit > MAX_LIMIT) throw new InvalidParamsError(`limit in URI must be at most ${MAX_LIMIT}, got ${limit}`);
+  return limit;
+}
+
+// ohlcv://{exchange}/{symbol}/{timeframe}[?limit=N]
+function parseOhlcvUri(uri) {
+  const url = new URL(uri);
+  const [symbol, timeframe] = url.pathname.slice(1).split("/");
+  if (url.protocol !== "ohlcv:" || !symbol || !timeframe) {
+    throw new InvalidParamsError(`Expected ohlcv://{exchange}/{symbol}/{timeframe}, got ${uri}`);
+  }
+  return {
+    exchange: parseExchange(url.hostname),
+    symbol: segmentToSymbol(symbol),
+    timeframe: parseTimeframeSegment(timeframe),
+    limit: parseLimit(url.searchParams.get("limit")),
+  };
+}
+
+// indicator://{name}/{symbol}/{timeframe}[?exchange=...&limit=N&<param>=<value>...]
+function parseIndicatorUri(uri) {
+  const url = new URL(uri);
+  const [symbol, timeframe] = url.pathname.slice(1).split("/");
+  const definition = getIndicator(url.hostname);
+  if (url.protocol !== "indicator:" || !definition || !symbol || !timeframe) {
+    throw new InvalidParamsError(`Expected indicator://{name}/{symbol}/{timeframe} with a known indicator name, got ${uri}`);
+  }
+  const params = {};
+  for (const [key, value] of url.searchParams) {
+    if (key === "exchange" || key === "limit") continue;
+    params[key] = Number(value);
+  }
+  return {
+    definition,
+    params,
+    exchange: parseExchange(url.searchParams.get("exchange") || DEFAULT_EXCHANGE),
+    symbol: segmentToSymbol(symbol),
+    timeframe: parseTimeframeSegment(timeframe),
+    limit: parseLimit(url.searchParams.get("limit")),
+  };
+}
+
+// Resource errors are JSON-RPC errors; the tool error code travels in `data`
+function resourceError(error) {
+  const code = errorCode(error);
+  const rpcCode = code === ERROR_CODES.INTERNAL_ERROR || code === ERROR_CODES.EXCHANGE_UNAVAILABLE
+    ? ErrorCode.InternalError
+    : ErrorCode.InvalidParams;
+  return new McpError(rpcCode, `Error [${code}]: ${error.message}`, { code });
+}
+
+function jsonContents(uri, value) {
+  return { contents: [{ uri: uri.toString(), mimeType: "application/json", text: JSON.stringify(value) }] };
+}
+
+async function readOhlcv(uri) {
+  const { exchange, symbol, timeframe, limit } = parseOhlcvUri(uri.toString());
+  const asset = await fetchOhlcvData(symbol, timeframe, limit, { exchange });
+  const candles = asset.dates.map((date, i) => ({
+    timestamp: date.toISOString(),
+    open: asset.openings[i],
+    high: asset.highs[i],
+    low: asset.lows[i],
+    close: asset.closings[i],
+    volume: asset.volumes[i],
+  }));
+  return jsonContents(uri, { exchange, symbol, timeframe, candles });
+}
+
+async function readIndicator(uri) {
+  const { definition, params, exchange, symbol, timeframe, limit } = parseIndicatorUri(uri.toString());
+  const asset = await fetchOhlcvData(symbol, timeframe, limit, { exchange });
+  const { result, warmupPeriod } = computeIndicator(definition, asset, params);
+  return jsonContents(uri, { indicator: definition.name, exchange, symbol, timeframe, ...alignResult(asset, result, warmupPeriod) });
+}
+
+// Cached exchange series as ohlcv:// resources. Cache keys are "<exchange>:<symbol>:<timeframe>";
+// the symbol is what lies between the first and last ":".
+function listCachedOhlcv() {
+  const resources = cachedSeries().map(({ key, rows, from, to }) => {
+    const exchange = key.slice(0, key.indexOf(":"));
+    const timeframe = key.slice(key.lastIndexOf(":") + 1);
+    const symbol = key.slice(exchange.length + 1, key.length - timeframe.length - 1);
+    return {
+      uri: `ohlcv://${exchange}/${symbolToSegment(symbol)}/${timeframe}`,
+      name: `${symbol} ${timeframe} on ${exchange}`,
+      description: `${rows} cached candles from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`,
+      mimeType: "application/json",
+    };
+  });
+  return { resources };
+}
+
+// Timeframe of a subscribable URI, validating it on the way
+function subscriptionTimeframe(uri) {
+  return uri.startsWith("indicator:") ? parseIndicatorUri(uri).timeframe : parseOhlcvUri(uri).timeframe;
+}
+
+// When subscribers hear of the current candle of `timeframe`: its close plus the publication delay
+function nextNotification(timeframe) {
+  return nextCandleTime(candleOpenTime(Date.now(), timeframe), timeframe) + UPDATE_DELAY_MS;
+}
+
+module.exports = (server) => {
+  server.registerResource(
+    "ohlcv",
+    new ResourceTemplate("ohlcv://{exchange}/{symbol}/{timeframe}", { list: listCachedOhlcv }),
+    {
+      description: "OHLCV candles of a market, e.g. ohlcv://binance/BTC-USDT/1h; add ?limit=N for other than the latest 100. Listing shows the series in the candle cache",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      try {
+        return await readOhlcv(uri);
+      } catch (error) {
+        throw resourceError(error);
+      }
+    }
+  );
+
+  // The query string carries indicator parameters, which vary by indicator, so they are read
+  // from the URI rather than declared in the template
+  server.registerResource(
+    "indicator",
+    new ResourceTemplate("indicator://{name}/{symbol}/{timeframe}", { list: undefined }),
+    {
+      description: "Timestamped indicator or strategy series, e.g. indicator://relative_strength_index/BTC-USDT/4h?period=21; the query may also set exchange and limit",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      try {
+        return await readIndicator(uri);
+      } catch (error) {
+        throw resourceError(error);
+      }
+    }
+  );
+
+  // Subscribers to a series are notified each time a candle of its timeframe closes
+  const subscriptions = new Map();
+  const schedule = (uri, timeframe, notifyAt = nextNotification(timeframe)) => {
+    const timer = setTimeout(async () => {
+      if (subscriptions.get(uri) !== timer) return;
+      if (Date.now() < notifyAt) return schedule(uri, timeframe, notifyAt);
+      schedule(uri, timeframe);
+      await server.server.sendResourceUpdated({ uri }).catch(() => {});
+    }, Math.min(notifyAt - Date.now(), MAX_TIMER_MS));
+    // Pending notifications must not keep the process alive once the client is gone
+    timer.unref();
+    subscriptions.set(uri, timer);
+  };
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    let timeframe;
+    try {
+      timeframe = subscriptionTimeframe(uri);
+    } catch (error) {
+      throw resourceError(error);
+    }
+    clearTimeout(subscriptions.get(uri));
+    schedule(uri, timeframe);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    clearTimeout(subscriptions.get(request.params.uri));
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const stopListening = onCacheChange(() => server.sendResourceListChanged());
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    stopListening();
+    for (const timer of subscriptions.values()) clearTimeout(timer);
+    subscriptions.clear();
+    if (onclose) onclose();
+  };
+};
@@ -1,132 +1,73 @@
-const { z } = require("zod");
 const {
-  momentumStrategy, awesomeOscillatorStrategy, ichimokuCloudStrategy,
+  priceRateOfChange, awesomeOscillatorStrategy, ichimokuCloudStrategy,
   rsi2Strategy, stochasticOscillatorStrategy, williamsRStrategy,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_momentum_strategy",
-    "Calculate the Momentum Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Momentum"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = momentumStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_awesome_oscillator_strategy",
-    "Calculate the Awesome Oscillator Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(5).describe("Fast period for AO"),
-      slowPeriod: z.number().int().min(1).max(500).default(34).describe("Slow period for AO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = awesomeOscillatorStrategy(asset, { fast: fastPeriod, slow: slowPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
+// BUY while the price is above its close `period` candles ago, SELL while below
+function momentumStrategy(asset, { period }) {
+  return priceRateOfChange(asset.closings, { period }).map((roc) => (roc > 0 ? 1 : roc < 0 ? -1 : 0));
+}
 
-  server.tool(
-    "calculate_ichimoku_cloud_strategy",
-    "Calculate the Ichimoku Cloud Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      conversionPeriod: z.number().int().min(1).max(500).default(9).describe("Conversion line period"),
-      basePeriod: z.number().int().min(1).max(500).default(26).describe("Base line period"),
-      spanPeriod: z.number().int().min(1).max(500).default(52).describe("Leading span period"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+// Momentum strategy definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "momentum_strategy",
+    title: "Momentum Strategy",
+    interpretation: "BUY while the close is above its level `period` candles ago, SELL while below.",
+    fn: momentumStrategy,
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "awesome_oscillator_strategy",
+    title: "Awesome Oscillator Strategy",
+    interpretation: "BUY while the Awesome Oscillator is above 0, SELL while below.",
+    fn: awesomeOscillatorStrategy,
+    params: {
+      fastPeriod: { default: 5, config: "fast" },
+      slowPeriod: { default: 34, config: "slow" },
     },
-    async ({ symbol, timeframe, conversionPeriod, basePeriod, spanPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = ichimokuCloudStrategy(asset, { conversion: conversionPeriod, base: basePeriod, span: spanPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_rsi2_strategy",
-    "Calculate the RSI2 Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for RSI2"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ slowPeriod }) => slowPeriod - 1,
+  },
+  {
+    name: "ichimoku_cloud_strategy",
+    title: "Ichimoku Cloud Strategy",
+    interpretation: "BUY while leading span A is above leading span B (bullish cloud), SELL while below.",
+    fn: ichimokuCloudStrategy,
+    params: {
+      conversionPeriod: { default: 9, config: "short", description: "Conversion line period" },
+      basePeriod: { default: 26, config: "medium", description: "Base line period" },
+      spanPeriod: { default: 52, config: "long", description: "Leading span period" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = rsi2Strategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_stochastic_oscillator_strategy",
-    "Calculate the Stochastic Oscillator Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for STOCH"),
-      signalPeriod: z.number().int().min(1).max(500).default(3).describe("Signal period for STOCH"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = stochasticOscillatorStrategy(asset, { period, signal: signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_williams_r_strategy",
-    "Calculate the Williams R Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for WILLR"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ conversionPeriod, basePeriod, spanPeriod }) => Math.max(conversionPeriod, basePeriod, spanPeriod) - 1,
+  },
+  {
+    name: "rsi2_strategy",
+    title: "RSI2 Strategy",
+    interpretation: "Fixed 2-period RSI: BUY below 10, SELL above 90, otherwise HOLD.",
+    thresholds: { overbought: 90, oversold: 10 },
+    fn: rsi2Strategy,
+    warmup: 2,
+  },
+  {
+    name: "stochastic_oscillator_strategy",
+    title: "Stochastic Oscillator Strategy",
+    interpretation: "BUY when both K and D are at or below 20, SELL when both are at or above 80, otherwise HOLD.",
+    thresholds: { overbought: 80, oversold: 20 },
+    fn: stochasticOscillatorStrategy,
+    params: {
+      period: { default: 14, config: "kPeriod" },
+      signalPeriod: { default: 3, config: "dPeriod" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = williamsRStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+    warmup: ({ period, signalPeriod }) => period + signalPeriod - 2,
+  },
+  {
+    name: "williams_r_strategy",
+    title: "Williams R Strategy",
+    interpretation: "BUY at or below -80, SELL at or above -20, otherwise HOLD.",
+    thresholds: { overbought: -20, oversold: -80 },
+    fn: williamsRStrategy,
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+  },
+];
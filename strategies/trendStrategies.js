@@ -1,214 +1,98 @@
-const { z } = require("zod");
 const {
   absolutePriceOscillatorStrategy, aroonStrategy, balanceOfPowerStrategy,
-  chandeForecastOscillatorStrategy, kdjStrategy, macdStrategy, parabolicSarStrategy,
+  chandeForecastOscillatorStrategy, kdjStrategy, macdStrategy, parabolicSARStrategy,
   typicalPriceStrategy, volumeWeightedMovingAverageStrategy, vortexStrategy,
 } = require("indicatorts");
-const fetchOhlcvData = require("../utils/fetchOhlcvData");
 
-module.exports = (server) => {
-  server.tool(
-    "calculate_absolute_price_oscillator_strategy",
-    "Calculate the Absolute Price Oscillator Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for APO"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for APO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+// Trend strategy definitions (fields documented in utils/indicatorRegistry.js)
+module.exports = [
+  {
+    name: "absolute_price_oscillator_strategy",
+    title: "Absolute Price Oscillator Strategy",
+    interpretation: "BUY while the APO is above 0, SELL while below.",
+    fn: absolutePriceOscillatorStrategy,
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = absolutePriceOscillatorStrategy(asset, { fast: fastPeriod, slow: slowPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_aroon_strategy",
-    "Calculate the Aroon Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Aroon"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = aroonStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_balance_of_power_strategy",
-    "Calculate the Balance of Power Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for BOP"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = balanceOfPowerStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_chande_forecast_oscillator_strategy",
-    "Calculate the Chande Forecast Oscillator Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for CFO"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = chandeForecastOscillatorStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_kdj_strategy",
-    "Calculate the KDJ Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(9).describe("Period length for KDJ"),
-      signalPeriod: z.number().int().min(1).max(500).default(3).describe("Signal period for KDJ"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ slowPeriod }) => slowPeriod - 1,
+  },
+  {
+    name: "aroon_strategy",
+    title: "Aroon Strategy",
+    interpretation: "BUY while Aroon up is above Aroon down, SELL while below.",
+    fn: aroonStrategy,
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+  {
+    name: "balance_of_power_strategy",
+    title: "Balance of Power Strategy",
+    interpretation: "BUY while the balance of power is positive, SELL while negative.",
+    fn: balanceOfPowerStrategy,
+  },
+  {
+    name: "chande_forecast_oscillator_strategy",
+    title: "Chande Forecast Oscillator Strategy",
+    interpretation: "BUY while the close is above its regression forecast (CFO above 0), SELL while below.",
+    fn: chandeForecastOscillatorStrategy,
+  },
+  {
+    name: "kdj_strategy",
+    title: "KDJ Strategy",
+    interpretation: "BUY when K is above D with K at or below 20, SELL when K is below D with K at or above 80, otherwise HOLD.",
+    thresholds: { overbought: 80, oversold: 20 },
+    fn: kdjStrategy,
+    params: {
+      period: { default: 9, config: "rPeriod" },
+      signalPeriod: { default: 3, config: ["kPeriod", "dPeriod"], description: "Smoothing period of the K and D lines" },
     },
-    async ({ symbol, timeframe, period, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = kdjStrategy(asset, { period, signal: signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_macd_strategy",
-    "Calculate the MACD Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      fastPeriod: z.number().int().min(1).max(500).default(12).describe("Fast period for MACD"),
-      slowPeriod: z.number().int().min(1).max(500).default(26).describe("Slow period for MACD"),
-      signalPeriod: z.number().int().min(1).max(500).default(9).describe("Signal period for MACD"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ period, signalPeriod }) => period + 2 * (signalPeriod - 1) - 1,
+  },
+  {
+    name: "macd_strategy",
+    title: "MACD Strategy",
+    interpretation: "BUY while the MACD line is above its signal line, SELL while below.",
+    fn: macdStrategy,
+    params: {
+      fastPeriod: { default: 12, config: "fast" },
+      slowPeriod: { default: 26, config: "slow" },
+      signalPeriod: { default: 9, config: "signal" },
     },
-    async ({ symbol, timeframe, fastPeriod, slowPeriod, signalPeriod, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = macdStrategy(asset, { fast: fastPeriod, slow: slowPeriod, signal: signalPeriod });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_parabolic_sar_strategy",
-    "Calculate the Parabolic SAR Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      accelerationFactorStep: z.number().min(0.001).max(1).default(0.02).describe("Acceleration factor step for PSAR"),
-      accelerationFactorMax: z.number().min(0.01).max(1).default(0.2).describe("Maximum acceleration factor for PSAR"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, accelerationFactorStep, accelerationFactorMax, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = parabolicSarStrategy(asset, { accelerationFactorStep, accelerationFactorMax });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_typical_price_strategy",
-    "Calculate the Typical Price Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Typical Price"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = typicalPriceStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_volume_weighted_moving_average_strategy",
-    "Calculate the VWMA Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for VWMA"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
-    },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = volumeWeightedMovingAverageStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-
-  server.tool(
-    "calculate_vortex_strategy",
-    "Calculate the Vortex Strategy for a given trading pair using Binance OHLCV data. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)",
-    {
-      symbol: z.string().regex(/^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/, "Invalid symbol (e.g., BTC/USDT)").describe("Trading pair, e.g., 'BTC/USDT'"),
-      timeframe: z.enum(["1m","3m","5m","15m","30m","1h","2h","4h","6h","12h","1d","1w","1M"]).default("1h").describe("Timeframe"),
-      period: z.number().int().min(1).max(500).default(14).describe("Period length for Vortex"),
-      limit: z.number().int().min(1).max(10000).default(100).describe("Number of OHLCV data points to fetch"),
+    warmup: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod - 2,
+  },
+  {
+    name: "parabolic_sar_strategy",
+    title: "Parabolic SAR Strategy",
+    interpretation: "BUY while the PSAR trend is up, SELL while it is down.",
+    fn: parabolicSARStrategy,
+    params: {
+      accelerationFactorStep: { type: "number", default: 0.02, min: 0.001, max: 1, config: "step", description: "Acceleration factor step" },
+      accelerationFactorMax: { type: "number", default: 0.2, min: 0.01, max: 1, config: "max", description: "Maximum acceleration factor" },
     },
-    async ({ symbol, timeframe, period, limit }) => {
-      try {
-        const asset = await fetchOhlcvData(symbol, timeframe, limit);
-        const result = vortexStrategy(asset, { period });
-        return { content: [{ type: "text", text: JSON.stringify(result) }] };
-      } catch (error) {
-        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-      }
-    }
-  );
-};
\ No newline at end of file
+    warmup: 1,
+  },
+  {
+    name: "typical_price_strategy",
+    title: "Typical Price Strategy",
+    interpretation: "BUY while the typical price rises from the previous candle, SELL while it falls.",
+    fn: typicalPriceStrategy,
+    warmup: 1,
+  },
+  {
+    name: "volume_weighted_moving_average_strategy",
+    title: "VWMA Strategy",
+    interpretation: "BUY while the VWMA is above the SMA of the same period (volume backs the rise), SELL while below.",
+    fn: volumeWeightedMovingAverageStrategy,
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period - 1,
+  },
+  {
+    name: "vortex_strategy",
+    title: "Vortex Strategy",
+    interpretation: "BUY while the positive vortex line is above the negative one, SELL while below.",
+    fn: vortexStrategy,
+    params: { period: { default: 14 } },
+    warmup: ({ period }) => period,
+  },
+];
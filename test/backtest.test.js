@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runBacktest } = require("../lib");
+
+// Hourly candles opening and closing at the given prices
+function candles(openings, closings = openings) {
+  return {
+    dates: openings.map((_, i) => new Date(Date.UTC(2024, 0, 1) + i * 3600000)),
+    openings,
+    highs: openings.map((open, i) => Math.max(open, closings[i])),
+    lows: openings.map((open, i) => Math.min(open, closings[i])),
+    closings,
+    volumes: openings.map(() => 1),
+  };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test("always buying without costs matches buy-and-hold", () => {
+  const prices = [100, 104, 98, 110, 120, 95, 130];
+  const { series, summary, trades } = runBacktest(candles(prices), prices.map(() => 1), {});
+  series.equity.forEach((equity, i) => close(equity, series.buyAndHold[i]));
+  close(summary.excessReturnPercent, 0);
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].status, "open");
+  assert.equal(summary.fees, 0);
+});
+
+test("a reversal pays slippage and fees on the exit and the new entry", () => {
+  const feeRate = 0.001;
+  const slippage = 0.002;
+  const { trades, summary } = runBacktest(candles([100, 100, 120, 120]), [1, -1, 0, 0], {
+    initialCapital: 1000, feeRate, slippage, allowShort: true,
+  });
+
+  const longEntry = 100 * (1 + slippage);
+  const units = 1000 / (longEntry * (1 + feeRate));
+  const entryFee = units * longEntry * feeRate;
+  // The long is sold and the short opened at the same slipped price
+  const exit = 120 * (1 - slippage);
+  const exitFee = units * exit * feeRate;
+  const cash = units * exit - exitFee;
+  const shortFee = (cash / (exit * (1 + feeRate))) * exit * feeRate;
+
+  const [long, short] = trades;
+  close(long.entryPrice, longEntry);
+  close(long.exitPrice, exit);
+  close(long.fees, entryFee + exitFee);
+  close(long.pnl, units * (exit - longEntry) - entryFee - exitFee);
+  assert.equal(short.side, "short");
+  close(short.entryPrice, exit);
+  close(short.fees, shortFee);
+  close(summary.fees, entryFee + exitFee + shortFee);
+});
+
+test("a short that loses all equity is liquidated and trading stops", () => {
+  const { trades, summary, series } = runBacktest(candles([100, 100, 150, 250, 260, 100]), [-1, 0, 0, 0, 1, 0], {
+    initialCapital: 1000, allowShort: true,
+  });
+  assert.equal(summary.ruined, true);
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].status, "liquidated");
+  assert.equal(trades[0].exitTime, new Date(Date.UTC(2024, 0, 1, 3)).toISOString());
+  // The later BUY is ignored
+  assert.deepEqual(series.position.slice(3), [0, 0, 0]);
+  assert.ok(series.equity.slice(3).every((equity) => equity === series.equity[3]));
+});
+
+test("win rate and average trade return both count closed trades only", () => {
+  const { trades, summary } = runBacktest(candles([100, 100, 110, 110, 110, 80]), [1, -1, 0, 1, 0, 0], {});
+  assert.deepEqual(trades.map((trade) => trade.status), ["closed", "open"]);
+  assert.ok(trades[1].returnPercent < 0);
+  assert.equal(summary.trades, 2);
+  assert.equal(summary.winRatePercent, 100);
+  close(summary.averageTradeReturnPercent, trades[0].returnPercent);
+});
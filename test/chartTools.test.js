@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeIndicator, toAsset } = require("../lib");
+const { connect } = require("./mcpClient");
+
+// Hourly candles swinging up and down, so strategies keep signalling
+const ohlcv = Array.from({ length: 200 }, (_, i) => {
+  const close = 100 + 10 * Math.sin(i / 6);
+  return [Date.UTC(2024, 0, 1) + i * 3600000, close - 1, close + 2, close - 2, close, 10];
+});
+
+test("render_chart marks only strategy actions that change, after the warmup", async () => {
+  const strategy = "bollinger_bands_strategy";
+  const { result, warmupPeriod } = computeIndicator(strategy, toAsset(ohlcv));
+  let last = 0;
+  const markers = { 1: 0, "-1": 0 };
+  result.forEach((action, i) => {
+    if (i < warmupPeriod || action === 0 || action === last) return;
+    markers[action]++;
+    last = action;
+  });
+  assert.ok(markers[1] + markers[-1] < result.filter((action) => action !== 0).length, "strategy repeats actions");
+
+  const client = await connect(require("../tools/chartTools"));
+  const chart = await client.callTool({
+    name: "render_chart",
+    arguments: { ohlcv, timeframe: "1h", strategy, format: "svg" },
+  });
+  assert.equal(chart.isError, undefined);
+  assert.match(chart.content[1].text, new RegExp(`, ${markers[1]} BUY and ${markers[-1]} SELL markers$`));
+  const svg = Buffer.from(chart.content[0].data, "base64").toString();
+  assert.equal((svg.match(/ l-[\d.]+,[\d.]+ h/g) || []).length, markers[1]);
+  assert.equal((svg.match(/ l-[\d.]+,-[\d.]+ h/g) || []).length, markers[-1]);
+  await client.close();
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchOhlcvData } = require("../lib");
+const { combineVenues } = require("../utils/compositeSeries");
+const { fakeExchange } = require("./fakeExchange");
+
+const VENUES = {
+  binance: [100, 110, 90, 104, 3],
+  kraken: [110, 112, 95, 108, 1],
+  okx: [120, 130, 100, 125, 0],
+};
+for (const [exid, candle] of Object.entries(VENUES)) fakeExchange(exid, { candle: () => candle });
+const exchanges = Object.keys(VENUES);
+
+test("volume-weighted composites weight each venue's prices by its volume", async () => {
+  const asset = await fetchOhlcvData("BTC/USDT", "1h", 50, { exchanges });
+  assert.equal(asset.dates.length, 50);
+  assert.equal(asset.openings[0], (100 * 3 + 110) / 4);
+  assert.equal(asset.highs[0], (110 * 3 + 112) / 4);
+  assert.equal(asset.lows[0], (90 * 3 + 95) / 4);
+  assert.equal(asset.closings[0], (104 * 3 + 108) / 4);
+  assert.equal(asset.volumes[0], 4);
+  assert.deepEqual(asset.meta.divergence.map((venue) => venue.exchange), exchanges);
+  assert.equal(asset.meta.divergence[2].lastDeviationPct, (125 / 105 - 1) * 100);
+});
+
+test("median composites take each component's median across venues", async () => {
+  const asset = await fetchOhlcvData("BTC/USDT", "1h", 50, { exchanges, compositeMethod: "median" });
+  assert.deepEqual(
+    [asset.openings[0], asset.highs[0], asset.lows[0], asset.closings[0], asset.volumes[0]],
+    [110, 112, 95, 108, 4]
+  );
+});
+
+test("venues are merged on shared timestamps, averaging prices when none traded", () => {
+  const combined = combineVenues(new Map([
+    ["binance", [[1, 10, 10, 10, 10, 0], [2, 10, 10, 10, 10, 0]]],
+    ["kraken", [[2, 20, 20, 20, 20, 0], [3, 20, 20, 20, 20, 0]]],
+  ]));
+  assert.deepEqual(combined, [[2, 15, 15, 15, 15, 0]]);
+});
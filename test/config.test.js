@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Modules read the config file when first required, so point at it before loading any
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "config-")), "config.json");
+fs.writeFileSync(configPath, JSON.stringify({ limits: { max: 60000 }, disabledCategories: ["batch", "data"] }));
+process.env.CRYPTO_INDICATORS_CONFIG = configPath;
+
+const { fetchOhlcvData } = require("../lib");
+const { fakeExchange } = require("./fakeExchange");
+const { connect } = require("./mcpClient");
+
+test.after(() => fs.rmSync(path.dirname(configPath), { recursive: true, force: true }));
+
+test("series up to the configured limits.max are cached in full", async () => {
+  const calls = fakeExchange("binance");
+  const asset = await fetchOhlcvData("BTC/USDT", "1h", 55000);
+  assert.equal(asset.dates.length, 55000);
+
+  const pages = calls.length;
+  const again = await fetchOhlcvData("BTC/USDT", "1h", 55000);
+  assert.equal(again.dates.length, 55000);
+  assert.ok(calls.length - pages <= 1, `refetched ${calls.length - pages} pages`);
+});
+
+test("prompts only name tools of enabled categories", async () => {
+  const client = await connect(require("../prompts/analysisPrompts"));
+  for (const { name } of (await client.listPrompts()).prompts) {
+    const { messages } = await client.getPrompt({ name, arguments: { symbol: "BTC/USDT", timeframe: "1h" } });
+    const text = messages[0].content.text;
+    assert.doesNotMatch(text, /calculate_batch|check_ohlcv_quality|transform_candles/, name);
+    assert.match(text, /`calculate_\w+` with/, name);
+  }
+  await client.close();
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { connect } = require("./mcpClient");
+
+const ONE_CANDLE = [[Date.UTC(2024, 0, 1), 100, 101, 99, 100, 1]];
+
+test("failed calls of tools with an output schema reach the client with their error code", async () => {
+  const client = await connect(require("../tools/indicatorTools"), require("../tools/backtestTools"));
+  for (const name of ["calculate_relative_strength_index", "calculate_batch", "backtest_strategy"]) {
+    const args = { ohlcv: ONE_CANDLE, timeframe: "1h" };
+    if (name === "calculate_batch") args.indicators = [{ name: "relative_strength_index" }];
+    if (name === "backtest_strategy") args.strategy = "macd_strategy";
+    const result = await client.callTool({ name, arguments: args });
+    assert.equal(result.isError, true, name);
+    assert.equal(result.structuredContent, undefined, name);
+    assert.equal(result._meta.error.code, "INSUFFICIENT_DATA", name);
+    assert.match(result.content[0].text, /^Error \[INSUFFICIENT_DATA\]: /, name);
+  }
+  await client.close();
+});
+
+test("arguments failing the input schema are reported as INVALID_PARAMS", async () => {
+  const client = await connect(require("../tools/indicatorTools"));
+  const result = await client.callTool({
+    name: "calculate_relative_strength_index",
+    arguments: { symbol: "BTC/USDT", limit: 0, warmup: "hide" },
+  });
+  assert.equal(result.isError, true);
+  assert.equal(result._meta.error.code, "INVALID_PARAMS");
+  assert.match(result.content[0].text, /^Error \[INVALID_PARAMS\]: Invalid arguments for calculate_relative_strength_index: limit: .+; warmup: /);
+  await client.close();
+});
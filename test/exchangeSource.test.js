@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchOhlcv } = require("../utils/dataSources/exchangeSource");
+const { fakeExchange } = require("./fakeExchange");
+
+const HOUR = 60 * 60 * 1000;
+const lastHour = () => Math.floor(Date.now() / HOUR) * HOUR;
+
+// Every row one candle after the previous one, i.e. sorted with no duplicates or gaps
+function assertContiguous(rows) {
+  rows.slice(1).forEach((row, i) => assert.equal(row[0] - rows[i][0], HOUR));
+}
+
+test("since and until page forwards across the whole window and no further", async () => {
+  const calls = fakeExchange("binance");
+  const since = lastHour() - 3000 * HOUR;
+  const until = since + 2499 * HOUR;
+  const rows = await fetchOhlcv("BTC/USDT", "1h", 10000, { exchange: "binance", since, until });
+  assert.equal(rows.length, 2500);
+  assert.equal(rows[0][0], since);
+  assert.equal(rows[rows.length - 1][0], until);
+  assertContiguous(rows);
+  assert.deepEqual(calls.map((call) => call.since), [since, since + 999 * HOUR + 1, since + 1999 * HOUR + 1]);
+});
+
+test("until alone returns the last limit candles up to it", async () => {
+  fakeExchange("binance");
+  const until = lastHour() - 100 * HOUR;
+  const rows = await fetchOhlcv("BTC/USDT", "1h", 1500, { exchange: "binance", until });
+  assert.equal(rows.length, 1500);
+  assert.equal(rows[rows.length - 1][0], until);
+  assertContiguous(rows);
+});
+
+test("pages overlapping the previous one are stitched without duplicates", async () => {
+  const calls = fakeExchange("binance", { overlap: 5 });
+  const since = lastHour() - 3000 * HOUR;
+  const rows = await fetchOhlcv("BTC/USDT", "1h", 2500, { exchange: "binance", since });
+  assert.equal(rows.length, 2500);
+  assert.equal(rows[0][0], since);
+  assertContiguous(rows);
+  assert.equal(calls.length, 3);
+});
+
+test("paging stops when the exchange makes no progress past the cursor", async () => {
+  const calls = fakeExchange("binance", { ignoreSince: true });
+  const since = lastHour() - 5000 * HOUR;
+  const rows = await fetchOhlcv("BTC/USDT", "1h", 5000, { exchange: "binance", since });
+  assert.equal(calls.length, 2);
+  assert.equal(rows.length, 1000);
+  assert.equal(rows[rows.length - 1][0], lastHour());
+  assertContiguous(rows);
+});
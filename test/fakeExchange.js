@@ -0,0 +1,27 @@
+const { getExchange } = require("../utils/exchanges");
+const { timeframeToMs } = require("../utils/timeframes");
+
+const FLAT_CANDLE = () => [100, 101, 99, 100, 1];
+
+// Replace an exchange's fetchOHLCV with candles of any native timeframe up to now, each
+// [timestamp, ...candle(symbol, timestamp)] (flat by default). `overlap` starts every page that
+// many candles before `since`, as some venues do; `ignoreSince` always serves the latest page.
+// Returns the list of pages requested, each { symbol, timeframe, since, limit }.
+function fakeExchange(exid, { candle = FLAT_CANDLE, overlap = 0, ignoreSince = false } = {}) {
+  const exchange = getExchange(exid);
+  const calls = [];
+  exchange.fetchOHLCV = async (symbol, timeframe, since, limit) => {
+    calls.push({ symbol, timeframe, since, limit });
+    const tfMs = timeframeToMs(timeframe);
+    const last = Math.floor(Date.now() / tfMs) * tfMs;
+    const first = since === undefined || ignoreSince
+      ? last - (limit - 1) * tfMs
+      : Math.ceil(since / tfMs) * tfMs - overlap * tfMs;
+    const rows = [];
+    for (let ts = first; ts <= last && rows.length < limit; ts += tfMs) rows.push([ts, ...candle(symbol, ts)]);
+    return rows;
+  };
+  return calls;
+}
+
+module.exports = { fakeExchange };
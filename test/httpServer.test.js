@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { startHttpServer, MCP_PATH } = require("../utils/httpServer");
+
+const INITIALIZE = JSON.stringify({
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1" } },
+});
+
+// POST an initialize request with the given headers; resolves to the response status
+function initialize(port, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: "127.0.0.1",
+      port,
+      path: MCP_PATH,
+      method: "POST",
+      headers: { "content-type": "application/json", accept: "application/json, text/event-stream", ...headers },
+    }, (res) => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+    });
+    req.on("error", reject);
+    req.end(INITIALIZE);
+  });
+}
+
+test("HTTP mode refuses foreign Host and Origin headers", async (t) => {
+  const createServer = () => new McpServer({ name: "test", version: "1.0.0" });
+  const { httpServer, close } = await startHttpServer(createServer, { host: "127.0.0.1", port: 0 });
+  t.after(close);
+  const { port } = httpServer.address();
+
+  assert.equal(await initialize(port, { host: `localhost:${port}` }), 200);
+  assert.equal(await initialize(port, { host: `127.0.0.1:${port}`, origin: `http://localhost:${port}` }), 200);
+  assert.equal(await initialize(port, { host: "evil.example" }), 403);
+  assert.equal(await initialize(port, { host: `localhost:${port}`, origin: "http://evil.example" }), 403);
+});
+
+test("configured hosts and origins replace the loopback defaults", async (t) => {
+  const createServer = () => new McpServer({ name: "test", version: "1.0.0" });
+  const { httpServer, close } = await startHttpServer(createServer, {
+    host: "127.0.0.1", port: 0, allowedHosts: ["mcp.example.com"], allowedOrigins: ["https://app.example.com"],
+  });
+  t.after(close);
+  const { port } = httpServer.address();
+
+  assert.equal(await initialize(port, { host: "mcp.example.com", origin: "https://app.example.com" }), 200);
+  assert.equal(await initialize(port, { host: `localhost:${port}` }), 403);
+  assert.equal(await initialize(port, { host: "mcp.example.com", origin: "https://mcp.example.com" }), 403);
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_LIMIT } = require("../utils/config");
+const { fakeExchange } = require("./fakeExchange");
+const { connect } = require("./mcpClient");
+
+test("ohlcv resources accept limits up to limits.max and reject larger ones", async () => {
+  fakeExchange("binance");
+  const client = await connect(require("../resources/marketResources"));
+  const read = (limit) => client.readResource({ uri: `ohlcv://binance/BTC-USDT/1h?limit=${limit}` });
+
+  const { contents } = await read(MAX_LIMIT);
+  assert.equal(JSON.parse(contents[0].text).candles.length, MAX_LIMIT);
+  await assert.rejects(read(MAX_LIMIT + 1), /Error \[INVALID_PARAMS\]: limit in URI must be at most/);
+  await client.close();
+});
@@ -0,0 +1,18 @@
+const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+const { validateToolArguments } = require("../utils/toolErrors");
+
+// A client connected in memory to a server set up like index.js by each of `registrars`, e.g. a
+// tools module
+async function connect(...registrars) {
+  const server = new McpServer({ name: "test", version: "1.0.0" });
+  validateToolArguments(server);
+  for (const register of registrars) register(server);
+  const client = new Client({ name: "test-client", version: "1.0.0" });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+module.exports = { connect };
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Every call refreshes, so only in-flight sharing can save a fetch
+process.env.OHLCV_CACHE_TTL_MS = "0";
+process.env.OHLCV_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ohlcv-cache-"));
+const { getCachedOhlcv } = require("../utils/ohlcvCache");
+
+test.after(() => fs.rmSync(process.env.OHLCV_CACHE_DIR, { recursive: true, force: true }));
+
+const HOUR = 3600000;
+
+// fetchRows returning `count` hourly rows up to now after a tick, counting its calls
+function rowSource() {
+  const source = { calls: 0 };
+  source.fetchRows = async (from, count) => {
+    source.calls++;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const last = Math.floor(Date.now() / HOUR) * HOUR;
+    return Array.from({ length: count }, (_, i) => [last - (count - 1 - i) * HOUR, 1, 1, 1, 1, 1]);
+  };
+  return source;
+}
+
+test("concurrent requests share an in-flight fetch that covers their limit", async () => {
+  const source = rowSource();
+  const results = await Promise.all([
+    getCachedOhlcv("test:shared:1h", "1h", 100, source.fetchRows),
+    getCachedOhlcv("test:shared:1h", "1h", 100, source.fetchRows),
+    getCachedOhlcv("test:shared:1h", "1h", 50, source.fetchRows),
+  ]);
+  assert.equal(source.calls, 1);
+  assert.deepEqual(results.map((rows) => rows.length), [100, 100, 50]);
+});
+
+test("a request for more rows than the in-flight fetch fetches after it", async () => {
+  const source = rowSource();
+  const results = await Promise.all([
+    getCachedOhlcv("test:larger:1h", "1h", 50, source.fetchRows),
+    getCachedOhlcv("test:larger:1h", "1h", 100, source.fetchRows),
+  ]);
+  assert.equal(source.calls, 2);
+  assert.deepEqual(results.map((rows) => rows.length), [50, 100]);
+});
+
+test("series whose keys differ only in case persist to distinct files tagged with their key", async () => {
+  const source = rowSource();
+  await getCachedOhlcv("test:BTC/USDT:1m", "1m", 10, source.fetchRows);
+  await getCachedOhlcv("test:BTC/USDT:1M", "1M", 10, source.fetchRows);
+  const files = fs.readdirSync(process.env.OHLCV_CACHE_DIR).filter((file) => file.startsWith("test_BTC_USDT_1"));
+  assert.equal(new Set(files.map((file) => file.toLowerCase())).size, 2);
+  const keys = files.map((file) => JSON.parse(fs.readFileSync(path.join(process.env.OHLCV_CACHE_DIR, file), "utf8")).key);
+  assert.deepEqual(keys.sort(), ["test:BTC/USDT:1M", "test:BTC/USDT:1m"]);
+});
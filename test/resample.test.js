@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchOhlcvData } = require("../lib");
+const { fakeExchange } = require("./fakeExchange");
+
+test("resampled series return exactly limit candles and are reused from the cache", async () => {
+  const calls = fakeExchange("binance");
+  const asset = await fetchOhlcvData("BTC/USDT", "45m", 4000);
+  assert.equal(asset.dates.length, 4000);
+  assert.ok(calls.every((call) => call.timeframe === "15m"));
+
+  const pages = calls.length;
+  const again = await fetchOhlcvData("BTC/USDT", "45m", 4000);
+  assert.equal(again.dates.length, 4000);
+  // Served from the cache, or topped up with at most one page of new candles
+  assert.ok(calls.length - pages <= 1, `refetched ${calls.length - pages} pages`);
+});
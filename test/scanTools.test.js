@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connect } = require("./mcpClient");
+
+// Hourly BTC-USDT candles in a data directory of their own
+function writeCandles() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-"));
+  fs.mkdirSync(path.join(dir, "BTC-USDT"));
+  const lines = ["timestamp,open,high,low,close,volume"];
+  for (let i = 0; i < 100; i++) {
+    const close = 100 + 10 * Math.sin(i / 5);
+    lines.push([Date.UTC(2024, 0, 1) + i * 3600000, close - 1, close + 2, close - 2, close, 10].join(","));
+  }
+  fs.writeFileSync(path.join(dir, "BTC-USDT", "1h.csv"), lines.join("\n"));
+  return dir;
+}
+
+test("scan_market rejects indicator columns named like row fields", async (t) => {
+  process.env.OHLCV_DATA_DIR = writeCandles();
+  t.after(() => fs.rmSync(process.env.OHLCV_DATA_DIR, { recursive: true, force: true }));
+  const client = await connect(require("../tools/scanTools"));
+  const scan = (as) => client.callTool({
+    name: "scan_market",
+    arguments: { symbols: ["BTC/USDT"], source: "file", matchesOnly: false, indicators: [{ name: "relative_strength_index", as }] },
+  });
+
+  for (const as of ["symbol", "close", "timestamp", "rank"]) {
+    const result = await scan(as);
+    assert.equal(result.isError, true, as);
+    assert.equal(result._meta.error.code, "INVALID_PARAMS", as);
+    assert.match(result.content[0].text, new RegExp(`Column name ${as} is reserved`));
+  }
+
+  const result = await scan("rsi");
+  assert.equal(result.isError, undefined);
+  const [row] = result.structuredContent.results;
+  assert.equal(row.symbol, "BTC/USDT");
+  assert.equal(typeof row.rsi, "number");
+  await client.close();
+});
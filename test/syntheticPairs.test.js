@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchOhlcvData } = require("../lib");
+const { combineSynthetic, parseSymbol } = require("../utils/syntheticPairs");
+const { fakeExchange } = require("./fakeExchange");
+
+const CANDLES = {
+  "BTC/USDT": [40000, 41000, 39000, 41000, 2],
+  "ETH/USDT": [2000, 2100, 1900, 2050, 10],
+};
+fakeExchange("binance", { candle: (symbol) => CANDLES[symbol] });
+
+test("a ratio divides each component and counts the numerator's quote volume", async () => {
+  const asset = await fetchOhlcvData("ETH/USDT÷BTC/USDT", "1h", 50);
+  assert.equal(asset.dates.length, 50);
+  assert.equal(asset.openings[0], 2000 / 40000);
+  // High and low are widened to contain open and close
+  assert.equal(asset.highs[0], 2100 / 41000);
+  assert.equal(asset.lows[0], 1900 / 39000);
+  assert.equal(asset.closings[0], 2050 / 41000);
+  assert.equal(asset.volumes[0], 10 * 2050);
+});
+
+test("a weighted basket sums each component and the legs' quote volumes", async () => {
+  const asset = await fetchOhlcvData("0.6*BTC/USDT+0.4*ETH/USDT", "1h", 50);
+  assert.equal(asset.dates.length, 50);
+  assert.ok(Math.abs(asset.openings[0] - (0.6 * 40000 + 0.4 * 2000)) < 1e-9);
+  assert.ok(Math.abs(asset.closings[0] - (0.6 * 41000 + 0.4 * 2050)) < 1e-9);
+  assert.equal(asset.volumes[0], 2 * 41000 + 10 * 2050);
+});
+
+test("legs are combined only on timestamps every leg has", () => {
+  const rows = (timestamps, close) => timestamps.map((ts) => [ts, close, close, close, close, 1]);
+  const combined = combineSynthetic(parseSymbol("ETH/USDT÷BTC/USDT"), new Map([
+    ["ETH/USDT", rows([3, 1, 2], 10)],
+    ["BTC/USDT", rows([2, 3, 4], 5)],
+  ]));
+  assert.deepEqual(combined.map((row) => row[0]), [2, 3]);
+  assert.ok(combined.every((row) => row[4] === 2));
+});
@@ -0,0 +1,52 @@
+const { z } = require("zod");
+const { fetchOhlcvData } = require("../utils/fetchOhlcvData");
+const { INDICATORS } = require("../utils/indicatorRegistry");
+const { backtestStrategy } = require("../lib");
+const { backtestOutputSchema } = require("../utils/outputSchemas");
+const { toolResult } = require("../utils/toolResult");
+const { errorResult } = require("../utils/toolErrors");
+const {
+  symbolParam, timeframeParam, limitParam, dataSourceParams, outputParams,
+} = require("../utils/toolParams");
+
+const STRATEGIES = INDICATORS.filter((definition) => definition.kind === "strategy").map((definition) => definition.name);
+
+module.exports = (server) => {
+  server.registerTool(
+    "backtest_strategy",
+    {
+      description: "Backtest a strategy on a trading pair's history: its BUY/SELL actions are traded at the next candle's open with fees and slippage, long only or long and short. Returns the equity curve, the trades, and total return, win rate, max drawdown and Sharpe/Sortino ratios against buy-and-hold",
+      inputSchema: {
+        symbol: symbolParam,
+        timeframe: timeframeParam,
+        limit: limitParam,
+        ...dataSourceParams,
+        strategy: z.enum(STRATEGIES).describe("Strategy to trade, e.g. 'macd_strategy'"),
+        strategyParams: z.record(z.string(), z.number()).optional()
+          .describe("Strategy parameters, e.g. { \"fastPeriod\": 8 }; defaults are used for any left out"),
+        initialCapital: z.number().positive().default(10000).describe("Starting equity in quote currency"),
+        feePercent: z.number().min(0).max(10).default(0.1).describe("Fee per fill, in percent of its value"),
+        slippagePercent: z.number().min(0).max(10).default(0.05).describe("Price slippage per fill against the trade, in percent"),
+        mode: z.enum(["long_only", "long_short"]).default("long_only")
+          .describe("'long_only': SELL closes the long; 'long_short': SELL reverses into a short and BUY back into a long"),
+        ...outputParams,
+      },
+      outputSchema: backtestOutputSchema,
+    },
+    async ({ symbol, timeframe, limit, strategy, strategyParams, initialCapital, feePercent, slippagePercent, mode, warmup, lastN, ...options }) => {
+      try {
+        const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+        const { series, trades, summary, params, warmupPeriod } = backtestStrategy(strategy, asset, {
+          params: strategyParams,
+          initialCapital,
+          feeRate: feePercent / 100,
+          slippage: slippagePercent / 100,
+          allowShort: mode === "long_short",
+        });
+        return toolResult(asset, series, warmupPeriod, { warmup, lastN }, { strategy, params, summary, trades });
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
@@ -0,0 +1,121 @@
+const { z } = require("zod");
+const { fetchOhlcvData } = require("../utils/fetchOhlcvData");
+const { INDICATORS, getIndicator, resolveParams, computeIndicator } = require("../utils/indicatorRegistry");
+const { renderChartSvg } = require("../utils/renderChart");
+const { errorResult, InvalidParamsError } = require("../utils/toolErrors");
+const { symbolParam, timeframeParam, limitParam, dataSourceParams } = require("../utils/toolParams");
+
+const CHART_INDICATORS = INDICATORS.filter((definition) => definition.kind === "indicator").map((definition) => definition.name);
+const CHART_STRATEGIES = INDICATORS.filter((definition) => definition.kind === "strategy").map((definition) => definition.name);
+
+const paramsParam = z.record(z.string(), z.number()).optional()
+  .describe("Indicator parameters, e.g. { \"period\": 20 }; defaults are used for any left out");
+
+// Short legend label: the abbreviation from the title, or the title itself, and the parameter values
+function seriesLabel(definition, params) {
+  const abbreviation = (definition.title.match(/\(([^)]+)\)$/) || [null, definition.title])[1];
+  const values = Object.values(resolveParams(definition, params));
+  return values.length > 0 ? `${abbreviation}(${values.join(",")})` : abbreviation;
+}
+
+// Compute a registry indicator and return its lines, warmup values hidden
+function chartLines(definition, asset, params) {
+  const { result, warmupPeriod } = computeIndicator(definition, asset, params);
+  const label = seriesLabel(definition, params);
+  if (!definition.outputs) return [{ label, values: hideWarmup(result, warmupPeriod) }];
+  const keys = Array.isArray(definition.overlay) ? definition.overlay : definition.outputs;
+  return keys.map((key) => ({
+    label: keys.length > 1 ? `${label} ${key}` : label,
+    values: hideWarmup(result[key], warmupPeriod),
+  }));
+}
+
+// Hide warmup values so they are not drawn as if they were real readings
+function hideWarmup(values, warmup) {
+  return values.map((value, i) => (i < warmup ? NaN : value));
+}
+
+// Strategy actions to mark: only the BUYs and SELLs after the warmup that differ from the last
+// one marked, as a repeated signal changes nothing
+function markerSignals(actions, warmup) {
+  let last = 0;
+  return actions.map((action, i) => {
+    if (i < warmup || action === 0 || action === last) return 0;
+    last = action;
+    return action;
+  });
+}
+
+// Rasterize an SVG chart to base64 PNG; the native renderer is loaded on first use
+function renderPng(svg, width) {
+  const { Resvg } = require("@resvg/resvg-js");
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "width", value: width },
+    font: { loadSystemFonts: true, defaultFontFamily: "sans-serif" },
+  });
+  return resvg.render().asPng().toString("base64");
+}
+
+module.exports = (server) => {
+  server.registerTool(
+    "render_chart",
+    {
+      description: "Render a candlestick chart for a given trading pair with any indicators (price-scale ones such as moving averages and bands over the candles, the rest in panes below) and buy/sell markers from a strategy. Returns a PNG or SVG image",
+      inputSchema: {
+        symbol: symbolParam,
+        timeframe: timeframeParam,
+        limit: limitParam,
+        ...dataSourceParams,
+        indicators: z.array(z.object({
+          name: z.enum(CHART_INDICATORS).describe("Indicator name, as in its calculate_<name> tool"),
+          params: paramsParam,
+        })).max(8).default([]).describe("Indicators to draw. Those in price units (moving averages, bands, channels, PSAR, VWAP) go over the candles, the others in a pane each below them"),
+        strategy: z.enum(CHART_STRATEGIES).optional().describe("Strategy whose BUY/SELL actions are marked on the candles, e.g. 'bollinger_bands_strategy'"),
+        strategyParams: paramsParam,
+        format: z.enum(["png", "svg"]).default("png").describe("Image format"),
+        width: z.number().int().min(300).max(3000).default(1000).describe("Image width in pixels"),
+        height: z.number().int().min(200).max(2000).default(480).describe("Height of the price pane in pixels; each oscillator adds a pane below"),
+      },
+    },
+    async ({ symbol, timeframe, limit, indicators, strategy, strategyParams, format, width, height, ...options }) => {
+      try {
+        const definitions = indicators.map(({ name, params }) => ({ definition: getIndicator(name), params }));
+        if (definitions.filter(({ definition }) => !definition.overlay).length > 4) {
+          throw new InvalidParamsError("At most 4 indicators can be drawn in panes below the candles");
+        }
+        const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+
+        const overlaySeries = definitions
+          .filter(({ definition }) => definition.overlay)
+          .flatMap(({ definition, params }) => chartLines(definition, asset, params));
+        const oscillatorPanes = definitions
+          .filter(({ definition }) => !definition.overlay)
+          .map(({ definition, params }) => ({ lines: chartLines(definition, asset, params) }));
+        let signals;
+        if (strategy) {
+          const { result, warmupPeriod } = computeIndicator(getIndicator(strategy), asset, strategyParams);
+          signals = markerSignals(result, warmupPeriod);
+        }
+
+        const name = symbol || options.file || "Supplied candles";
+        const title = `${name} ${timeframe}${strategy ? ` · ${getIndicator(strategy).title}` : ""}`;
+        const svg = renderChartSvg(asset, { title, overlays: overlaySeries, oscillators: oscillatorPanes, signals, width, height });
+
+        let summary = `Chart of ${asset.dates.length} candles (${asset.meta.from} to ${asset.meta.to})`;
+        if (signals) {
+          const buys = signals.filter((action) => action === 1).length;
+          const sells = signals.filter((action) => action === -1).length;
+          summary += `, ${buys} BUY and ${sells} SELL markers`;
+        }
+
+        const image = format === "png"
+          ? { data: renderPng(svg, width), mimeType: "image/png" }
+          : { data: Buffer.from(svg).toString("base64"), mimeType: "image/svg+xml" };
+        return { content: [{ type: "image", ...image }, { type: "text", text: summary }] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
+
@@ -0,0 +1,123 @@
+const { z } = require("zod");
+const { fetchOhlcvData, DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/fetchOhlcvData");
+const { DEFAULT_EXCHANGE } = require("../utils/exchanges");
+const { batchColumns, computeBatch, warmupPeriod } = require("../utils/indicatorRegistry");
+const { alignClosedCandles, timeframeScore, confluenceScore, confluenceDirection } = require("../utils/confluence");
+const { timeframeToMs } = require("../utils/timeframes");
+const { confluenceOutputSchema } = require("../utils/outputSchemas");
+const { toolResult } = require("../utils/toolResult");
+const { errorResult, InvalidParamsError, InsufficientDataError } = require("../utils/toolErrors");
+const {
+  symbolParam, timeframeSchema, limitParam, dataSourceParams, outputParams, indicatorSpecsParam,
+} = require("../utils/toolParams");
+
+// Each timeframe is fetched from the market, so single-series inputs and chart types (whose
+// bars have no fixed duration to align on) do not apply
+const { file, ohlcv, candleType, boxSize, boxAtrPeriod, ...confluenceSourceParams } = dataSourceParams;
+
+// Default timeframes, less any the config file does not enable
+const DEFAULT_TIMEFRAMES = ["15m", "1h", "4h", "1d"].filter((timeframe) => timeframeSchema.safeParse(timeframe).success);
+
+// Candles of a higher timeframe needed to cover `limit` lowest-timeframe candles after a warmup
+// of `warmup` candles; with `since`, the window starts that many candles earlier
+function higherTimeframeRequest(timeframe, baseTimeframe, limit, warmup, since) {
+  const ms = timeframeToMs(timeframe);
+  const count = Math.ceil(limit * timeframeToMs(baseTimeframe) / ms) + warmup + 1;
+  return {
+    limit: Math.min(count, MAX_LIMIT),
+    since: since === undefined ? undefined : new Date(Date.parse(since) - (warmup + 1) * ms).toISOString(),
+  };
+}
+
+module.exports = (server) => {
+  server.registerTool(
+    "analyze_confluence",
+    {
+      description: `Evaluate strategies on several timeframes of a trading pair (OHLCV data from ${DEFAULT_EXCHANGE} or the exchange or source given) and score how far their signals agree. Higher-timeframe signals are aligned to the lowest timeframe's candles using only candles closed by then. Outputs a confluence score from -1 (all SELL) to 1 (all BUY) per candle and a per-timeframe breakdown of the latest one`,
+      inputSchema: {
+        symbol: symbolParam,
+        timeframes: z.array(timeframeSchema).min(2).max(6).default(DEFAULT_TIMEFRAMES).describe("Timeframes to combine, e.g. ['15m', '1h', '4h', '1d']; the output follows the shortest"),
+        strategies: indicatorSpecsParam(10).describe("Strategies evaluated on every timeframe, e.g. [{ \"name\": \"macd_strategy\" }, { \"name\": \"rsi2_strategy\" }]"),
+        weights: z.array(z.number().positive()).optional().describe("Weight of each timeframe, in the order of timeframes; equal by default"),
+        threshold: z.number().min(0).max(1).default(0.5).describe("Score at or above which the direction is BUY, and at or below whose negative it is SELL"),
+        limit: limitParam.describe(`Number of candles of the shortest timeframe (default ${DEFAULT_LIMIT}); longer timeframes fetch what covers them plus warmup`),
+        ...confluenceSourceParams,
+        ...outputParams,
+      },
+      outputSchema: confluenceOutputSchema,
+    },
+    async ({ symbol, timeframes, strategies, weights, threshold, limit = DEFAULT_LIMIT, warmup, lastN, ...options }) => {
+      try {
+        const specs = batchColumns(strategies);
+        const indicator = specs.find(({ definition }) => definition.kind !== "strategy");
+        if (indicator) {
+          throw new InvalidParamsError(`${indicator.definition.name} is not a strategy; use the *_strategy names`);
+        }
+        if (new Set(timeframes).size !== timeframes.length) {
+          throw new InvalidParamsError("timeframes must not repeat");
+        }
+        if (weights && weights.length !== timeframes.length) {
+          throw new InvalidParamsError(`Expected ${timeframes.length} weights, one per timeframe, got ${weights.length}`);
+        }
+
+        const ordered = timeframes
+          .map((timeframe, i) => ({ timeframe, weight: weights ? weights[i] : 1 }))
+          .sort((a, b) => timeframeToMs(a.timeframe) - timeframeToMs(b.timeframe));
+        const base = ordered[0].timeframe;
+        const maxWarmup = Math.max(...specs.map(({ definition, params }) => warmupPeriod(definition, params)));
+        const assets = await Promise.all(ordered.map(({ timeframe }, k) => {
+          if (k === 0) return fetchOhlcvData(symbol, timeframe, limit, options);
+          const request = higherTimeframeRequest(timeframe, base, limit, maxWarmup, options.since);
+          return fetchOhlcvData(symbol, timeframe, request.limit, { ...options, since: request.since });
+        }));
+
+        const baseAsset = assets[0];
+        const frames = ordered.map(({ timeframe, weight }, k) => {
+          const { table, warmupPeriod: frameWarmup } = computeBatch(specs, assets[k]);
+          const indexes = k === 0
+            ? baseAsset.dates.map((_, i) => i)
+            : alignClosedCandles(baseAsset.dates, base, assets[k].dates, timeframe);
+          return { timeframe, weight, asset: assets[k], table, actions: Object.values(table), warmup: frameWarmup, indexes };
+        });
+
+        const series = { score: [] };
+        for (const { timeframe } of frames) series[timeframe] = [];
+        baseAsset.dates.forEach((_, i) => {
+          const scores = frames.map((frame) => timeframeScore(frame.actions, frame.indexes[i], frame.warmup));
+          frames.forEach((frame, k) => series[frame.timeframe].push(scores[k] === null ? NaN : scores[k]));
+          const score = confluenceScore(scores, frames.map((frame) => frame.weight));
+          series.score.push(score === null ? NaN : score);
+        });
+
+        // Every timeframe has a signal from the first scored row on, as closed candles only accumulate
+        const firstScored = series.score.findIndex(Number.isFinite);
+        if (firstScored === -1) {
+          throw new InsufficientDataError(
+            `No ${base} candle has a signal on every timeframe; increase limit or check the longer timeframes' candles`
+          );
+        }
+        const last = baseAsset.dates.length - 1;
+        const latestScore = series.score[last];
+        const latest = {
+          timestamp: baseAsset.dates[last].toISOString(),
+          score: latestScore,
+          direction: confluenceDirection(latestScore, threshold),
+          agreeing: frames.filter((frame) => Math.sign(series[frame.timeframe][last]) === Math.sign(latestScore)).length,
+          breakdown: frames.map((frame) => {
+            const index = frame.indexes[last];
+            return {
+              timeframe: frame.timeframe,
+              candle: frame.asset.dates[index].toISOString(),
+              weight: frame.weight,
+              score: series[frame.timeframe][last],
+              signals: Object.fromEntries(Object.entries(frame.table).map(([column, actions]) => [column, actions[index]])),
+            };
+          }),
+        };
+        return toolResult(baseAsset, series, firstScored, { warmup, lastN }, { timeframes: frames.map((frame) => frame.timeframe), latest });
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
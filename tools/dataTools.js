@@ -0,0 +1,68 @@
+const { z } = require("zod");
+const { fetchOhlcvData, fetchOhlcvRows } = require("../utils/fetchOhlcvData");
+const { CANDLE_TYPES } = require("../utils/candleTransforms");
+const { analyzeOhlcv } = require("../utils/ohlcvQuality");
+const { toolResult } = require("../utils/toolResult");
+const { seriesOutputSchema } = require("../utils/outputSchemas");
+const { errorResult } = require("../utils/toolErrors");
+const { symbolParam, timeframeParam, limitParam, dataSourceParams, outputParams } = require("../utils/toolParams");
+
+// The quality report always inspects the raw time candles, so gap handling and chart types do not apply
+const { gapPolicy, candleType, boxSize, boxAtrPeriod, ...rawSourceParams } = dataSourceParams;
+
+module.exports = (server) => {
+  server.registerTool(
+    "check_ohlcv_quality",
+    {
+      description: "Check OHLCV data quality for a given trading pair: missing candles (gaps), duplicate timestamps, out-of-order rows, zero-volume bars, inconsistent candles and outlier wicks",
+      inputSchema: {
+        symbol: symbolParam,
+        timeframe: timeframeParam,
+        wickThreshold: z.number().min(1).max(100).default(5).describe("Flag wicks longer than this multiple of the median candle range"),
+        limit: limitParam,
+        ...rawSourceParams,
+      },
+    },
+    async ({ symbol, timeframe, wickThreshold, limit, ...options }) => {
+      try {
+        const ohlcv = await fetchOhlcvRows(symbol, timeframe, limit, options);
+        const report = analyzeOhlcv(ohlcv, timeframe, { wickThreshold });
+        const structuredContent = { symbol, timeframe, ...report };
+        return { content: [{ type: "text", text: JSON.stringify(structuredContent) }], structuredContent };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+
+  server.registerTool(
+    "transform_candles",
+    {
+      description: "Transform OHLCV candles for a given trading pair into Heikin-Ashi candles, Renko bricks or range bars. Outputs one { timestamp, open, high, low, close, volume } point per bar",
+      inputSchema: {
+        symbol: symbolParam,
+        timeframe: timeframeParam,
+        limit: limitParam,
+        ...dataSourceParams,
+        candleType: z.enum(CANDLE_TYPES).default("heikin_ashi").describe("Chart type: 'heikin_ashi', 'renko', 'range' or 'time'"),
+        lastN: outputParams.lastN,
+      },
+      outputSchema: seriesOutputSchema(["open", "high", "low", "close", "volume"]),
+    },
+    async ({ symbol, timeframe, limit, lastN, ...options }) => {
+      try {
+        const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+        const bars = {
+          open: asset.openings,
+          high: asset.highs,
+          low: asset.lows,
+          close: asset.closings,
+          volume: asset.volumes,
+        };
+        return toolResult(asset, bars, 0, { lastN });
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
@@ -0,0 +1,118 @@
+const { z } = require("zod");
+const { INDICATORS, getIndicator, resolveParams, warmupPeriod } = require("../utils/indicatorRegistry");
+const { errorResult, InvalidParamsError } = require("../utils/toolErrors");
+
+const CATEGORIES = ["trend", "momentum", "volatility", "volume", "strategy"];
+
+const paramSchema = z.object({
+  name: z.string(),
+  type: z.enum(["int", "number"]),
+  default: z.number(),
+  min: z.number(),
+  max: z.number(),
+  description: z.string(),
+});
+
+const summarySchema = {
+  name: z.string().describe("Indicator name, as used by render_chart and other tools"),
+  tool: z.string().describe("Tool computing it"),
+  title: z.string(),
+  kind: z.enum(["indicator", "strategy"]),
+  category: z.enum(["trend", "momentum", "volatility", "volume"]),
+  params: z.array(z.string()),
+  outputs: z.array(z.string()).describe("Keys of each output point besides timestamp"),
+};
+
+// Keys each output point carries besides its timestamp
+function outputKeys(definition) {
+  return definition.outputs || ["value"];
+}
+
+function summarize(definition) {
+  return {
+    name: definition.name,
+    tool: definition.tool,
+    title: definition.title,
+    kind: definition.kind,
+    category: definition.category,
+    params: Object.keys(definition.params),
+    outputs: outputKeys(definition),
+  };
+}
+
+module.exports = (server) => {
+  server.registerTool(
+    "list_indicators",
+    {
+      description: "List the available indicators and strategies with their tool names, parameters and output fields. Filter by category: trend, momentum, volatility, volume, or strategy for all strategies",
+      inputSchema: {
+        category: z.enum(CATEGORIES).optional().describe("Only list this category; 'strategy' lists every strategy"),
+      },
+      outputSchema: {
+        count: z.number().int(),
+        indicators: z.array(z.object(summarySchema)),
+      },
+    },
+    async ({ category }) => {
+      const indicators = INDICATORS
+        .filter((definition) => !category || (category === "strategy" ? definition.kind === "strategy" : definition.category === category))
+        .map(summarize);
+      const structuredContent = { count: indicators.length, indicators };
+      const lines = indicators.map(({ tool, title, params }) => `${tool}: ${title}${params.length > 0 ? ` (${params.join(", ")})` : ""}`);
+      return { content: [{ type: "text", text: lines.join("\n") }], structuredContent };
+    }
+  );
+
+  server.registerTool(
+    "describe_indicator",
+    {
+      description: "Describe an indicator or strategy: parameters with defaults and ranges, output fields, warmup length, the minimum limit needed, how to interpret the values and their conventional thresholds",
+      inputSchema: {
+        name: z.string().describe("Indicator name or tool name, e.g. 'relative_strength_index' or 'calculate_macd_strategy'"),
+        params: z.record(z.string(), z.number()).optional()
+          .describe("Parameter values to compute the warmup and minimum limit for; defaults are used for any left out"),
+      },
+      outputSchema: {
+        ...summarySchema,
+        params: z.array(paramSchema),
+        inputs: z.array(z.string()).describe("Candle series the indicator reads"),
+        overlay: z.boolean().describe("Whether it is drawn over the candles by render_chart"),
+        interpretation: z.string(),
+        thresholds: z.record(z.string(), z.number()).optional(),
+        warmupPeriod: z.number().int().describe("Leading values computed from too few candles"),
+        minimumLimit: z.number().int().describe("Fewest candles (limit) that give at least one value past the warmup"),
+      },
+    },
+    async ({ name, params }) => {
+      try {
+        const definition = getIndicator(name);
+        if (!definition) {
+          throw new InvalidParamsError(`Unknown indicator: ${name}. Use list_indicators to see the available names`);
+        }
+        const warmup = warmupPeriod(definition, resolveParams(definition, params));
+        const structuredContent = {
+          ...summarize(definition),
+          params: Object.entries(definition.params).map(([paramName, param]) => ({
+            name: paramName,
+            type: param.type,
+            default: param.default,
+            min: param.min,
+            max: param.max,
+            description: param.description,
+          })),
+          inputs: definition.inputs || ["openings", "highs", "lows", "closings", "volumes"],
+          overlay: Boolean(definition.overlay),
+          interpretation: definition.kind === "strategy"
+            ? `${definition.interpretation} Values: 1 BUY, 0 HOLD, -1 SELL.`
+            : definition.interpretation,
+          thresholds: definition.thresholds,
+          warmupPeriod: warmup,
+          minimumLimit: warmup + 1,
+        };
+        return { content: [{ type: "text", text: JSON.stringify(structuredContent) }], structuredContent };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
@@ -0,0 +1,82 @@
+const { fetchOhlcvData } = require("../utils/fetchOhlcvData");
+const { DEFAULT_EXCHANGE } = require("../utils/exchanges");
+const { INDICATORS, paramShape, batchColumns } = require("../utils/indicatorRegistry");
+const { computeIndicator, computeBatch } = require("../lib");
+const { outputSchemaFor, batchOutputSchema } = require("../utils/outputSchemas");
+const { toolResult } = require("../utils/toolResult");
+const { errorResult } = require("../utils/toolErrors");
+const { isEnabled } = require("../utils/config");
+const {
+  symbolParam, timeframeParam, limitParam, dataSourceParams, outputParams, indicatorSpecsParam,
+} = require("../utils/toolParams");
+
+function toolDescription(definition) {
+  const description = `Calculate the ${definition.title} for a given trading pair using OHLCV data from ${DEFAULT_EXCHANGE} (or the exchange or source given)`;
+  return definition.kind === "strategy" ? `${description}. Outputs: -1 (SELL), 0 (HOLD), 1 (BUY)` : description;
+}
+
+const MAX_BATCH_SIZE = 20;
+
+// Register one calculate_<name> tool per indicator and strategy in the registry
+module.exports = (server) => {
+  for (const definition of INDICATORS) {
+    const paramNames = Object.keys(definition.params);
+    server.registerTool(
+      definition.tool,
+      {
+        description: toolDescription(definition),
+        inputSchema: {
+          symbol: symbolParam,
+          timeframe: timeframeParam,
+          ...paramShape(definition),
+          limit: limitParam,
+          ...dataSourceParams,
+          ...outputParams,
+        },
+        outputSchema: outputSchemaFor(definition),
+      },
+      async ({ symbol, timeframe, limit, warmup, lastN, ...rest }) => {
+        const params = {};
+        const options = {};
+        for (const [key, value] of Object.entries(rest)) {
+          (paramNames.includes(key) ? params : options)[key] = value;
+        }
+        try {
+          const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+          const { result, warmupPeriod } = computeIndicator(definition.name, asset, params);
+          return toolResult(asset, result, warmupPeriod, { warmup, lastN });
+        } catch (error) {
+          return errorResult(error);
+        }
+      }
+    );
+  }
+
+  if (!isEnabled("batch")) return;
+  server.registerTool(
+    "calculate_batch",
+    {
+      description: `Calculate several indicators and strategies for a given trading pair on one fetch of OHLCV data from ${DEFAULT_EXCHANGE} (or the exchange or source given). Outputs one row per candle with a column per series`,
+      inputSchema: {
+        symbol: symbolParam,
+        timeframe: timeframeParam,
+        indicators: indicatorSpecsParam(MAX_BATCH_SIZE),
+        limit: limitParam,
+        ...dataSourceParams,
+        ...outputParams,
+      },
+      outputSchema: batchOutputSchema,
+    },
+    async ({ symbol, timeframe, indicators, limit, warmup, lastN, ...options }) => {
+      try {
+        // Parameters are checked before fetching so a typo does not cost a request
+        batchColumns(indicators);
+        const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+        const { table, columns, warmupPeriod } = computeBatch(indicators, asset);
+        return toolResult(asset, table, warmupPeriod, { warmup, lastN }, { columns });
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
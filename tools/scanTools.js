@@ -0,0 +1,161 @@
+const { z } = require("zod");
+const { fetchOhlcvData } = require("../utils/fetchOhlcvData");
+const { DEFAULT_EXCHANGE } = require("../utils/exchanges");
+const { batchColumns, computeBatch } = require("../utils/indicatorRegistry");
+const { findMarkets } = require("../utils/markets");
+const { errorResult, errorCode, InvalidParamsError, InsufficientDataError } = require("../utils/toolErrors");
+const {
+  symbolSchema, timeframeParam, limitParam, dataSourceParams, indicatorSpecsParam,
+} = require("../utils/toolParams");
+
+const MAX_SCAN_SYMBOLS = 200;
+// Fields of every result row, which indicator columns may not overwrite
+const ROW_FIELDS = ["rank", "symbol", "timestamp", "close", "conditionsMet", "matched"];
+
+// Candles come from the exchange or per-market files, so single-series inputs do not apply
+const { file, ohlcv, ...scanSourceParams } = dataSourceParams;
+
+const COMPARISONS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// Run `fn` over `items` with at most `concurrency` calls in flight. Exchange requests are
+// additionally spaced by each ccxt instance's rate limiter.
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Latest values of every column for one symbol
+async function scanSymbol(symbol, specs, timeframe, limit, options) {
+  const asset = await fetchOhlcvData(symbol, timeframe, limit, options);
+  const { table, warmupPeriod } = computeBatch(specs, asset);
+  const last = asset.dates.length - 1;
+  if (last < warmupPeriod) {
+    throw new InsufficientDataError(`Need more than ${warmupPeriod} candles, got ${asset.dates.length}; increase limit`);
+  }
+  const values = {};
+  for (const [column, series] of Object.entries(table)) {
+    values[column] = Number.isFinite(series[last]) ? series[last] : null;
+  }
+  return { symbol, timestamp: asset.dates[last].toISOString(), close: asset.closings[last], ...values };
+}
+
+// Order rows: matches first, then more conditions met, then by `sortBy` (missing values last)
+function rankRows(rows, sortBy, order) {
+  const direction = order === "asc" ? 1 : -1;
+  return rows.sort((a, b) => {
+    if (a.matched !== b.matched) return a.matched ? -1 : 1;
+    if (a.conditionsMet !== b.conditionsMet) return b.conditionsMet - a.conditionsMet;
+    if (sortBy) {
+      if (a[sortBy] === null || b[sortBy] === null) return (a[sortBy] === null) - (b[sortBy] === null);
+      if (a[sortBy] !== b[sortBy]) return (a[sortBy] - b[sortBy]) * direction;
+    }
+    return a.symbol.localeCompare(b.symbol);
+  });
+}
+
+module.exports = (server) => {
+  server.registerTool(
+    "scan_market",
+    {
+      description: `Scan many trading pairs for indicator and strategy conditions, e.g. RSI under 30 and a MACD buy signal. Takes a list of symbols, or every ${DEFAULT_EXCHANGE} (or given exchange) market in a quote currency above a volume floor, and returns a ranked table of the latest values`,
+      inputSchema: {
+        symbols: z.array(symbolSchema).min(1).max(MAX_SCAN_SYMBOLS).optional().describe("Pairs to scan, e.g. ['BTC/USDT', 'ETH/USDT']; omit to scan the markets selected by quote"),
+        quote: z.string().regex(/^[A-Za-z0-9]{2,10}$/).optional().describe("Scan the exchange's active spot markets in this quote currency, e.g. 'USDT', most traded first"),
+        minQuoteVolume: z.number().min(0).default(0).describe("With quote: skip markets that traded less than this in the last 24h, in quote currency"),
+        maxSymbols: z.number().int().min(1).max(MAX_SCAN_SYMBOLS).default(50).describe("With quote: scan at most this many markets"),
+        timeframe: timeframeParam,
+        indicators: indicatorSpecsParam(10),
+        conditions: z.array(z.object({
+          column: z.string().describe("Column to test, e.g. 'relative_strength_index' or 'macd.macdLine'"),
+          op: z.enum(Object.keys(COMPARISONS)),
+          value: z.number(),
+        })).max(10).default([]).describe("Conditions on the latest values, e.g. [{ \"column\": \"relative_strength_index\", \"op\": \"<\", \"value\": 30 }, { \"column\": \"macd_strategy\", \"op\": \"==\", \"value\": 1 }]"),
+        match: z.enum(["all", "any"]).default("all").describe("Whether a symbol must meet all conditions or any of them"),
+        matchesOnly: z.boolean().default(true).describe("Return only symbols that match; otherwise every scanned symbol, matches ranked first"),
+        sortBy: z.string().optional().describe("Column ranking symbols that met as many conditions, e.g. 'relative_strength_index'"),
+        order: z.enum(["asc", "desc"]).default("desc").describe("Sort order of sortBy"),
+        concurrency: z.number().int().min(1).max(10).default(4).describe("Symbols fetched at once; requests are also paced by the exchange's rate limit"),
+        limit: limitParam,
+        ...scanSourceParams,
+      },
+      outputSchema: {
+        timeframe: z.string(),
+        scanned: z.number().int(),
+        matched: z.number().int(),
+        columns: z.array(z.string()),
+        results: z.array(z.object({
+          rank: z.number().int(),
+          symbol: z.string(),
+          timestamp: z.string().describe("Open time of the latest candle (ISO 8601)"),
+          close: z.number(),
+          conditionsMet: z.number().int(),
+          matched: z.boolean(),
+        }).catchall(z.number().nullable())),
+        errors: z.array(z.object({ symbol: z.string(), code: z.string(), message: z.string() })),
+      },
+    },
+    async ({ symbols, quote, minQuoteVolume, maxSymbols, timeframe, indicators, conditions, match, matchesOnly, sortBy, order, concurrency, limit, ...options }) => {
+      try {
+        const specs = batchColumns(indicators, ROW_FIELDS);
+        const columns = specs.flatMap((spec) => spec.columns);
+        for (const column of [...conditions.map((condition) => condition.column), sortBy].filter(Boolean)) {
+          if (!columns.includes(column) && column !== "close") {
+            throw new InvalidParamsError(`Unknown column ${column}. Columns: close, ${columns.join(", ")}`);
+          }
+        }
+
+        if (!symbols) {
+          if (!quote) throw new InvalidParamsError("Pass symbols, or quote to scan the exchange's markets");
+          if (options.source === "file") throw new InvalidParamsError("quote lists exchange markets; pass symbols to scan candle files");
+          const markets = await findMarkets({ exchange: options.exchange, quote: quote.toUpperCase(), minQuoteVolume, maxSymbols });
+          symbols = markets.map((market) => market.symbol);
+        }
+
+        const outcomes = await mapWithConcurrency(symbols, concurrency, async (symbol) => {
+          try {
+            return { row: await scanSymbol(symbol, specs, timeframe, limit, options) };
+          } catch (error) {
+            return { error: { symbol, code: errorCode(error), message: error.message } };
+          }
+        });
+
+        const rows = outcomes.filter((outcome) => outcome.row).map(({ row }) => {
+          const conditionsMet = conditions.filter(({ column, op, value }) =>
+            row[column] !== null && COMPARISONS[op](row[column], value)
+          ).length;
+          const matched = match === "all" ? conditionsMet === conditions.length : conditions.length === 0 || conditionsMet > 0;
+          return { ...row, conditionsMet, matched };
+        });
+        const ranked = rankRows(matchesOnly ? rows.filter((row) => row.matched) : rows, sortBy, order)
+          .map((row, i) => ({ rank: i + 1, ...row }));
+
+        const structuredContent = {
+          timeframe,
+          scanned: symbols.length,
+          matched: rows.filter((row) => row.matched).length,
+          columns,
+          results: ranked,
+          errors: outcomes.filter((outcome) => outcome.error).map(({ error }) => error),
+        };
+        return { content: [{ type: "text", text: JSON.stringify(structuredContent) }], structuredContent };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
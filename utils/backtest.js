@@ -0,0 +1,184 @@
+const { InsufficientDataError } = require("./toolErrors");
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Maximum drawdown of an equity curve in percent, with the indexes of its peak and trough
+function maxDrawdown(curve) {
+  let peak = 0;
+  let worst = { percent: 0, peak: 0, trough: 0 };
+  for (let i = 0; i < curve.length; i++) {
+    if (curve[i] > curve[peak]) peak = i;
+    const percent = (1 - curve[i] / curve[peak]) * 100;
+    if (percent > worst.percent) worst = { percent, peak, trough: i };
+  }
+  return worst;
+}
+
+// Annualized Sharpe and Sortino ratios of per-candle returns (risk-free rate 0; crypto trades
+// around the clock, so a year has 365 days). Null when returns do not vary.
+function riskRatios(curve, periodsPerYear) {
+  // After a liquidation equity can sit at or below zero, where returns are undefined
+  const returns = curve.slice(1).map((value, i) => value / curve[i] - 1).filter(Number.isFinite);
+  if (returns.length < 2 || !Number.isFinite(periodsPerYear)) return { sharpeRatio: null, sortinoRatio: null };
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const deviation = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+  const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length);
+  const annualize = Math.sqrt(periodsPerYear);
+  return {
+    sharpeRatio: deviation > 0 ? (mean / deviation) * annualize : null,
+    sortinoRatio: downside > 0 ? (mean / downside) * annualize : null,
+  };
+}
+
+// Return, drawdown and risk ratios of the part of an equity curve from `start` on
+function curveStats(curve, start, initialCapital, periodsPerYear, dates) {
+  const traded = curve.slice(start);
+  const drawdown = maxDrawdown(traded);
+  const finalEquity = curve[curve.length - 1];
+  return {
+    finalEquity,
+    totalReturnPercent: (finalEquity / initialCapital - 1) * 100,
+    maxDrawdownPercent: drawdown.percent,
+    maxDrawdownPeak: dates[start + drawdown.peak].toISOString(),
+    maxDrawdownTrough: dates[start + drawdown.trough].toISOString(),
+    ...riskRatios(traded, periodsPerYear),
+  };
+}
+
+// Replay strategy actions (1 BUY, 0 HOLD, -1 SELL per candle) on `asset`.
+// A signal on a candle's close is filled at the next candle's open, so no trade uses a price
+// it could not have seen; signals during the first `warmupPeriod` candles are ignored. BUY goes
+// long with all equity; SELL exits, or with `allowShort` reverses into a short of equal size.
+// Fills pay `slippage` against the trader and `feeRate` of their value (both fractions, e.g.
+// 0.001 for 0.1%). A position still open at the end is valued at the last close without exit
+// costs, and so is buy-and-hold, bought at the same first open the strategy could trade.
+// Sharpe and Sortino ratios are annualized by the candles' average spacing.
+// Returns per-candle series (equity, position, drawdownPercent, buyAndHold), the trades and a
+// summary comparing both.
+function runBacktest(asset, actions, {
+  warmupPeriod = 0, initialCapital = 10000, feeRate = 0, slippage = 0, allowShort = false,
+}) {
+  const { dates, openings, closings } = asset;
+  const n = dates.length;
+  const start = warmupPeriod;
+  if (n < start + 2) {
+    throw new InsufficientDataError(`Need at least ${start + 2} candles to trade after a warmup of ${start}, got ${n}; increase limit`);
+  }
+
+  let cash = initialCapital;
+  let units = 0;
+  let open = null;
+  let ruined = false;
+  let fees = 0;
+  const trades = [];
+  const equity = new Array(n).fill(initialCapital);
+  const position = new Array(n).fill(0);
+
+  const fillPrice = (price, direction) => price * (1 + direction * slippage);
+
+  const enter = (i, direction) => {
+    const price = fillPrice(openings[i], direction);
+    const capital = cash;
+    units = (direction * capital) / (price * (1 + feeRate));
+    const fee = Math.abs(units) * price * feeRate;
+    cash -= units * price + fee;
+    fees += fee;
+    open = { side: direction > 0 ? "long" : "short", entryIndex: i, entryPrice: price, units, capital, fees: fee };
+  };
+
+  const exit = (i, price, status = "closed") => {
+    const exitPrice = fillPrice(price, units > 0 ? -1 : 1);
+    const fee = Math.abs(units) * exitPrice * feeRate;
+    cash += units * exitPrice - fee;
+    fees += fee;
+    trades.push(tradeRecord(open, i, exitPrice, open.fees + fee, status));
+    units = 0;
+    open = null;
+  };
+
+  // Exits fill at a candle's open, except liquidations and positions still open, at its close
+  const tradeRecord = (trade, exitIndex, exitPrice, tradeFees, status) => {
+    const pnl = trade.units * (exitPrice - trade.entryPrice) - tradeFees;
+    return {
+      side: trade.side,
+      status,
+      entryTime: dates[trade.entryIndex].toISOString(),
+      entryPrice: trade.entryPrice,
+      exitTime: dates[exitIndex].toISOString(),
+      exitPrice,
+      quantity: Math.abs(trade.units),
+      fees: tradeFees,
+      pnl,
+      returnPercent: (pnl / trade.capital) * 100,
+      candles: exitIndex - trade.entryIndex + (status === "closed" ? 0 : 1),
+    };
+  };
+
+  for (let i = start + 1; i < n; i++) {
+    const current = Math.sign(units);
+    const signal = actions[i - 1];
+    let target = current;
+    if (signal === 1) target = 1;
+    else if (signal === -1) target = allowShort ? -1 : 0;
+    if (!ruined && target !== current) {
+      if (current !== 0) exit(i, openings[i]);
+      if (target !== 0) enter(i, target);
+    }
+    equity[i] = cash + units * closings[i];
+    // A short can lose more than the account holds; stop trading once equity is gone
+    if (equity[i] <= 0 && units !== 0) {
+      exit(i, closings[i], "liquidated");
+      equity[i] = cash;
+      ruined = true;
+    }
+    position[i] = Math.sign(units);
+  }
+
+  if (open) {
+    trades.push(tradeRecord(open, n - 1, closings[n - 1], open.fees, "open"));
+  }
+
+  // Buy-and-hold from the strategy's first possible fill
+  const buyAndHold = new Array(n).fill(initialCapital);
+  const holdPrice = fillPrice(openings[start + 1], 1);
+  const holdUnits = initialCapital / (holdPrice * (1 + feeRate));
+  const holdCash = initialCapital - holdUnits * holdPrice * (1 + feeRate);
+  for (let i = start + 1; i < n; i++) buyAndHold[i] = holdCash + holdUnits * closings[i];
+
+  // Candles per year from their dates, which also holds for renko and range bars
+  const periodsPerYear = (YEAR_MS * (n - 1)) / (dates[n - 1] - dates[0]);
+  const closed = trades.filter((trade) => trade.status !== "open");
+  const wins = closed.filter((trade) => trade.pnl > 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = -closed.filter((trade) => trade.pnl < 0).reduce((sum, trade) => sum + trade.pnl, 0);
+  const strategyStats = curveStats(equity, start, initialCapital, periodsPerYear, dates);
+  const holdStats = curveStats(buyAndHold, start, initialCapital, periodsPerYear, dates);
+  const summary = {
+    initialCapital,
+    ...strategyStats,
+    trades: trades.length,
+    winRatePercent: closed.length ? (wins.length / closed.length) * 100 : null,
+    averageTradeReturnPercent: closed.length ? closed.reduce((sum, trade) => sum + trade.returnPercent, 0) / closed.length : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    exposurePercent: (position.slice(start + 1).filter((side) => side !== 0).length / (n - start - 1)) * 100,
+    fees,
+    ruined,
+    buyAndHold: holdStats,
+    excessReturnPercent: strategyStats.totalReturnPercent - holdStats.totalReturnPercent,
+  };
+
+  const peaks = [];
+  equity.forEach((value, i) => peaks.push(Math.max(value, i ? peaks[i - 1] : value)));
+  return {
+    series: {
+      equity,
+      position,
+      drawdownPercent: equity.map((value, i) => (1 - value / peaks[i]) * 100),
+      buyAndHold,
+    },
+    trades,
+    summary,
+  };
+}
+
+module.exports = { runBacktest };
@@ -0,0 +1,120 @@
+const { averageTrueRange } = require("indicatorts");
+const { InsufficientDataError, InvalidParamsError } = require("./toolErrors");
+
+// Chart types selectable through the `candleType` tool argument
+const CANDLE_TYPES = ["time", "heikin_ashi", "renko", "range"];
+
+// Heikin-Ashi candles: close is the OHLC average, open the midpoint of the previous
+// Heikin-Ashi body, and high/low extend to cover both
+function heikinAshi(ohlcv) {
+  const bars = [];
+  for (const [timestamp, open, high, low, close, volume] of ohlcv) {
+    const previous = bars[bars.length - 1];
+    const haClose = (open + high + low + close) / 4;
+    const haOpen = previous ? (previous[1] + previous[4]) / 2 : (open + close) / 2;
+    bars.push([
+      timestamp,
+      haOpen,
+      Math.max(high, haOpen, haClose),
+      Math.min(low, haOpen, haClose),
+      haClose,
+      volume,
+    ]);
+  }
+  return bars;
+}
+
+// Close-based Renko bricks of `boxSize`. A new brick needs the close to move one box beyond
+// the last brick in its direction, or two boxes to reverse. Each brick carries the time of the
+// candle that completed it and the volume traded since the previous brick.
+function renko(ohlcv, boxSize) {
+  const bricks = [];
+  let low = ohlcv[0][4];
+  let high = ohlcv[0][4];
+  let volume = 0;
+  for (const [timestamp, , , , close, candleVolume] of ohlcv) {
+    volume += candleVolume;
+    while (close >= high + boxSize || close <= low - boxSize) {
+      const up = close >= high + boxSize;
+      const open = up ? high : low;
+      const brickClose = up ? high + boxSize : low - boxSize;
+      bricks.push([timestamp, open, Math.max(open, brickClose), Math.min(open, brickClose), brickClose, volume]);
+      volume = 0;
+      low = Math.min(open, brickClose);
+      high = Math.max(open, brickClose);
+    }
+  }
+  return bricks;
+}
+
+// Range bars spanning `rangeSize` from high to low. Each candle is walked as
+// open → low → high → close (open → high → low → close for down candles), closing a bar
+// whenever its range is filled; the last, still-forming bar is kept.
+function rangeBars(ohlcv, rangeSize) {
+  const bars = [];
+  let bar;
+  let volume = 0;
+  for (const [timestamp, open, high, low, close, candleVolume] of ohlcv) {
+    volume += candleVolume;
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    for (const price of path) {
+      if (!bar) bar = [timestamp, price, price, price, price, 0];
+      while (Math.max(bar[2], price) - Math.min(bar[3], price) >= rangeSize) {
+        const up = price > bar[4];
+        const barClose = up ? bar[3] + rangeSize : bar[2] - rangeSize;
+        bar[2] = Math.max(bar[2], barClose);
+        bar[3] = Math.min(bar[3], barClose);
+        bar[4] = barClose;
+        bar[5] = volume;
+        volume = 0;
+        bars.push(bar);
+        bar = [timestamp, barClose, barClose, barClose, barClose, 0];
+      }
+      bar[2] = Math.max(bar[2], price);
+      bar[3] = Math.min(bar[3], price);
+      bar[4] = price;
+    }
+  }
+  bar[5] = volume;
+  bars.push(bar);
+  return bars;
+}
+
+// Box size for Renko and range bars: `boxSize` if given, else the latest ATR(`boxAtrPeriod`)
+function resolveBoxSize(ohlcv, { boxSize, boxAtrPeriod = 14 }) {
+  if (boxSize !== undefined) return boxSize;
+  const { atrLine } = averageTrueRange(
+    ohlcv.map((row) => row[2]),
+    ohlcv.map((row) => row[3]),
+    ohlcv.map((row) => row[4]),
+    { period: boxAtrPeriod }
+  );
+  const atr = atrLine[atrLine.length - 1];
+  if (!(atr > 0)) {
+    throw new InsufficientDataError("Cannot derive a box size from ATR; pass boxSize");
+  }
+  return atr;
+}
+
+// Rebuild time candles as the requested chart type. Returns the bars and the box size used.
+function transformCandles(ohlcv, candleType, options = {}) {
+  switch (candleType) {
+    case undefined:
+    case "time":
+      return { bars: ohlcv };
+    case "heikin_ashi":
+      return { bars: heikinAshi(ohlcv) };
+    case "renko": {
+      const boxSize = resolveBoxSize(ohlcv, options);
+      return { bars: renko(ohlcv, boxSize), boxSize };
+    }
+    case "range": {
+      const boxSize = resolveBoxSize(ohlcv, options);
+      return { bars: rangeBars(ohlcv, boxSize), boxSize };
+    }
+    default:
+      throw new InvalidParamsError(`Unsupported candle type: "${candleType}". Allowed: ${CANDLE_TYPES.join(", ")}`);
+  }
+}
+
+module.exports = { CANDLE_TYPES, transformCandles };
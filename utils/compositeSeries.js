@@ -0,0 +1,63 @@
+// Ways to merge one market's candles from several exchanges (`compositeMethod` tool argument)
+const COMPOSITE_METHODS = ["volume_weighted", "median"];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Merge per-exchange OHLCV rows on timestamps every exchange has. Each OHLC component is the
+// volume-weighted mean (plain mean when no volume traded) or the median across venues, with
+// high/low widened to contain open/close; volume is the total across venues.
+function combineVenues(ohlcvByExchange, method = "volume_weighted") {
+  const venues = [...ohlcvByExchange.values()].map((rows) => new Map(rows.map((row) => [row[0], row])));
+  const [first, ...others] = venues;
+  const timestamps = [...first.keys()]
+    .filter((timestamp) => others.every((rows) => rows.has(timestamp)))
+    .sort((a, b) => a - b);
+
+  return timestamps.map((timestamp) => {
+    const rows = venues.map((venue) => venue.get(timestamp));
+    const volume = rows.reduce((sum, row) => sum + row[5], 0);
+    const [open, high, low, close] = [1, 2, 3, 4].map((i) => {
+      if (method === "median") return median(rows.map((row) => row[i]));
+      if (volume > 0) return rows.reduce((sum, row) => sum + row[i] * row[5], 0) / volume;
+      return rows.reduce((sum, row) => sum + row[i], 0) / rows.length;
+    });
+    return [
+      timestamp,
+      open,
+      Math.max(open, high, low, close),
+      Math.min(open, high, low, close),
+      close,
+      volume,
+    ];
+  });
+}
+
+// Per-venue divergence of closes from the composite, in percent of the composite close
+function venueDivergence(symbol, ohlcvByExchange, composite) {
+  const compositeCloses = new Map(composite.map((row) => [row[0], row[4]]));
+  return [...ohlcvByExchange].map(([exchange, rows]) => {
+    const deviations = rows
+      .filter((row) => compositeCloses.has(row[0]))
+      .map((row) => ({
+        timestamp: row[0],
+        pct: ((row[4] - compositeCloses.get(row[0])) / compositeCloses.get(row[0])) * 100,
+      }));
+    const largest = deviations.reduce((max, d) => (Math.abs(d.pct) > Math.abs(max.pct) ? d : max), deviations[0]);
+    return {
+      symbol,
+      exchange,
+      candles: rows.length,
+      aligned: deviations.length,
+      meanAbsDeviationPct: deviations.reduce((sum, d) => sum + Math.abs(d.pct), 0) / deviations.length,
+      maxDeviationPct: largest.pct,
+      maxDeviationAt: new Date(largest.timestamp).toISOString(),
+      lastDeviationPct: deviations[deviations.length - 1].pct,
+    };
+  });
+}
+
+module.exports = { COMPOSITE_METHODS, combineVenues, venueDivergence };
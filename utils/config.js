@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const ccxt = require("ccxt");
+const YAML = require("yaml");
+const { z } = require("zod");
+const { TIMEFRAME_PATTERN } = require("./timeframes");
+
+// Deployment settings, read once at startup from the JSON or YAML file named by
+// CRYPTO_INDICATORS_CONFIG (the server's --config flag sets it). Every setting is optional;
+// modules fall back to their built-in defaults for anything the file leaves out.
+const CONFIG_PATH = process.env.CRYPTO_INDICATORS_CONFIG ? path.resolve(process.env.CRYPTO_INDICATORS_CONFIG) : undefined;
+
+// Indicator categories, all strategies, and the other tool groups, resources and prompts
+const CATEGORIES = [
+  "trend", "momentum", "volatility", "volume", "strategy",
+  "batch", "scan", "confluence", "discovery", "data", "chart", "backtest", "resources", "prompts",
+];
+
+const exchangeId = z.string().refine((id) => ccxt.exchanges.includes(id), "Unknown ccxt exchange id");
+const params = z.record(z.string(), z.number());
+
+const configSchema = z.object({
+  defaultExchange: exchangeId.optional(),
+  exchanges: z.object({
+    allowed: z.array(exchangeId).min(1).optional(),
+    options: z.record(exchangeId, z.object({
+      sandbox: z.boolean().optional(),
+      timeout: z.number().int().min(1000).max(300000).optional(),
+      rateLimit: z.number().int().min(0).optional(),
+      options: z.record(z.string(), z.unknown()).optional(),
+    }).strict()).optional(),
+  }).strict().optional(),
+  timeframes: z.array(z.string().regex(TIMEFRAME_PATTERN, "Invalid timeframe (e.g., 1h, 45m, 8h, 3d, 2w)")).min(1).optional(),
+  limits: z.object({
+    default: z.number().int().min(1).optional(),
+    max: z.number().int().min(1).max(100000).optional(),
+  }).strict().optional(),
+  indicators: z.record(z.string(), params).optional(),
+  presets: z.record(
+    z.string().regex(/^[a-z][a-z0-9_]*$/, "Preset names are lowercase snake_case"),
+    z.object({
+      indicator: z.string(),
+      params: params.default({}),
+      description: z.string().optional(),
+    }).strict()
+  ).optional(),
+  disabledCategories: z.array(z.enum(CATEGORIES)).optional(),
+}).strict();
+
+// Error for a setting found invalid, here or by the module applying it
+function configError(message) {
+  return new Error(`Invalid config file ${CONFIG_PATH}: ${message}`);
+}
+
+function loadConfig() {
+  if (!CONFIG_PATH) return {};
+  let data;
+  try {
+    const text = fs.readFileSync(CONFIG_PATH, "utf8");
+    data = /\.ya?ml$/i.test(CONFIG_PATH) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw configError(error.message);
+  }
+  const parsed = configSchema.safeParse(data ?? {});
+  if (!parsed.success) {
+    throw configError(parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`).join("; "));
+  }
+  const { limits = {}, exchanges = {}, defaultExchange } = parsed.data;
+  if (limits.default !== undefined && limits.default > (limits.max ?? Infinity)) {
+    throw configError(`limits.default (${limits.default}) exceeds limits.max (${limits.max})`);
+  }
+  for (const exid of [defaultExchange, ...Object.keys(exchanges.options || {})].filter(Boolean)) {
+    if (exchanges.allowed && !exchanges.allowed.includes(exid)) {
+      throw configError(`${exid} is configured but not in exchanges.allowed`);
+    }
+  }
+  return parsed.data;
+}
+
+const config = loadConfig();
+
+// The most candles a call may ask for, and those fetched when a call does not pass `limit`
+const MAX_LIMIT = config.limits?.max ?? 10000;
+const DEFAULT_LIMIT = Math.min(config.limits?.default ?? 100, MAX_LIMIT);
+
+// Whether a category of tools (or resources, or prompts) is served
+function isEnabled(category) {
+  return !(config.disabledCategories || []).includes(category);
+}
+
+module.exports = { CONFIG_PATH, CATEGORIES, config, MAX_LIMIT, DEFAULT_LIMIT, configError, isEnabled };
@@ -0,0 +1,39 @@
+const { nextCandleTime } = require("./timeframes");
+
+// For each candle of a lower timeframe, the index of the latest higher-timeframe candle that
+// had closed when the lower candle closed, or -1 if none had. A 4h signal is thus only seen
+// on the 1h candle closing with it and later ones, never on the 1h candles inside it.
+function alignClosedCandles(lowerDates, lowerTimeframe, higherDates, higherTimeframe) {
+  const indexes = new Array(lowerDates.length);
+  let j = -1;
+  for (let i = 0; i < lowerDates.length; i++) {
+    const lowerClose = nextCandleTime(lowerDates[i].getTime(), lowerTimeframe);
+    while (j + 1 < higherDates.length && nextCandleTime(higherDates[j + 1].getTime(), higherTimeframe) <= lowerClose) {
+      j++;
+    }
+    indexes[i] = j;
+  }
+  return indexes;
+}
+
+// Mean of the strategy actions at `index`, in [-1, 1]; null during warmup or before any candle
+function timeframeScore(actions, index, warmupPeriod) {
+  if (index < warmupPeriod) return null;
+  return actions.reduce((sum, series) => sum + series[index], 0) / actions.length;
+}
+
+// Weighted mean of per-timeframe scores, or null unless every timeframe has one
+function confluenceScore(scores, weights) {
+  if (scores.some((score) => score === null)) return null;
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return scores.reduce((sum, score, i) => sum + score * weights[i], 0) / total;
+}
+
+// BUY at or above `threshold`, SELL at or below -threshold, NEUTRAL in between
+function confluenceDirection(score, threshold) {
+  if (score >= threshold) return "BUY";
+  if (score <= -threshold) return "SELL";
+  return "NEUTRAL";
+}
+
+module.exports = { alignClosedCandles, timeframeScore, confluenceScore, confluenceDirection };
@@ -0,0 +1,70 @@
+const { DEFAULT_EXCHANGE, getExchange } = require("../exchanges");
+const { getCachedOhlcv } = require("../ohlcvCache");
+const { timeframeToMs } = require("../timeframes");
+const { ExchangeUnavailableError, InvalidParamsError } = require("../toolErrors");
+
+// Candles requested per fetchOHLCV call; venues cap page sizes well below the 10000 a tool may ask for
+const PAGE_LIMITS = {
+  binance: 1000, kraken: 720, coinbase: 300, bybit: 1000, okx: 300,
+  kucoin: 1500, gate: 1000, huobi: 2000, bitfinex: 10000, mexc: 1000,
+};
+const DEFAULT_PAGE_LIMIT = 500;
+
+// Fetch candles page by page and stitch them together, dropping overlapping timestamps.
+// With `since`, returns up to `limit` candles from that time on; otherwise the last `limit`
+// candles up to `until` (or now).
+async function fetchRange(exchange, exid, symbol, timeframe, { since, until, limit }) {
+  const pageLimit = PAGE_LIMITS[exid] || DEFAULT_PAGE_LIMIT;
+  if (since === undefined && until === undefined && limit <= pageLimit) {
+    return exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
+  }
+
+  const end = until === undefined ? Date.now() : until;
+  // Walking backwards is not supported by every venue, so start far enough back and page forwards
+  const start = since === undefined ? end - (limit + 1) * timeframeToMs(timeframe) : since;
+  const wanted = since === undefined ? Infinity : limit;
+  const byTimestamp = new Map();
+
+  let cursor = start;
+  while (byTimestamp.size < wanted) {
+    const page = await exchange.fetchOHLCV(symbol, timeframe, cursor, pageLimit);
+    if (!Array.isArray(page) || page.length === 0) break;
+
+    for (const row of page) {
+      if (Array.isArray(row) && row[0] >= start && row[0] <= end) byTimestamp.set(row[0], row);
+    }
+    const lastTimestamp = page[page.length - 1][0];
+    // Stop once the window is covered or the exchange makes no progress past the cursor
+    if (!(lastTimestamp >= cursor) || lastTimestamp >= end) break;
+    cursor = lastTimestamp + 1;
+  }
+
+  const rows = [...byTimestamp.values()].sort((a, b) => a[0] - b[0]);
+  return since === undefined ? rows.slice(-limit) : rows.slice(0, limit);
+}
+
+// Fetch raw OHLCV rows from a ccxt exchange (the EXCHANGE_NAME default unless `exchange` is given).
+// Latest-window requests go through the shared OHLCV cache; date ranges are fetched directly.
+async function fetchOhlcv(symbol, timeframe, limit, { exchange: exid = DEFAULT_EXCHANGE, since, until } = {}) {
+  if (!symbol) {
+    throw new InvalidParamsError("symbol is required to fetch from an exchange");
+  }
+  const exchange = getExchange(exid);
+  if (!exchange.has["fetchOHLCV"]) {
+    throw new ExchangeUnavailableError(`${exid} does not support fetchOHLCV`);
+  }
+  if (since !== undefined || until !== undefined) {
+    return fetchRange(exchange, exid, symbol, timeframe, { since, until, limit });
+  }
+  return getCachedOhlcv(`${exid}:${symbol}:${timeframe}`, timeframe, limit, (from, count) =>
+    fetchRange(exchange, exid, symbol, timeframe, { since: from, limit: count })
+  );
+}
+
+// Timeframes the exchange serves directly; others are resampled from these
+function nativeTimeframes({ exchange: exid = DEFAULT_EXCHANGE } = {}) {
+  const { timeframes } = getExchange(exid);
+  return timeframes ? Object.keys(timeframes) : null;
+}
+
+module.exports = { name: "exchange", fetchOhlcv, nativeTimeframes };
@@ -0,0 +1,69 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { parseCsv, parseOhlcvJson, selectWindow } = require("../parseOhlcv");
+const { InvalidParamsError, SymbolNotFoundError } = require("../toolErrors");
+
+const SUPPORTED_EXTENSIONS = [".csv", ".json"];
+// Set when serving over HTTP: files are then only read from an explicit OHLCV_DATA_DIR
+let dataDirRequired = false;
+
+// Refuse the file source unless OHLCV_DATA_DIR is set, rather than reading the working directory
+function requireDataDir() {
+  dataDirRequired = true;
+}
+
+// Directory candle files are read from; relative `file` paths resolve against it
+function getDataDir() {
+  return path.resolve(process.env.OHLCV_DATA_DIR || ".");
+}
+
+// Locate the candle file: an explicit `file`, or <dataDir>/<BASE>-<QUOTE>/<timeframe>.csv|json
+async function resolveFilePath(symbol, timeframe, file) {
+  if (dataDirRequired && !process.env.OHLCV_DATA_DIR) {
+    throw new InvalidParamsError("The file source is disabled on this server; set OHLCV_DATA_DIR to enable it");
+  }
+  const dataDir = getDataDir();
+
+  if (file) {
+    const filePath = path.resolve(dataDir, file);
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      throw new InvalidParamsError(`Unsupported candle file type: "${file}". Use .csv or .json`);
+    }
+    // Keep reads confined to the data directory, so a caller cannot read arbitrary files on the host
+    const relative = path.relative(dataDir, filePath);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      throw new InvalidParamsError(`Candle file "${file}" is outside ${process.env.OHLCV_DATA_DIR ? "OHLCV_DATA_DIR" : "the working directory"}`);
+    }
+    return filePath;
+  }
+
+  if (!symbol) {
+    throw new InvalidParamsError("symbol is required unless file is given");
+  }
+  const basePath = path.join(dataDir, symbol.replace("/", "-"), timeframe);
+  for (const ext of SUPPORTED_EXTENSIONS) {
+    try {
+      await fs.access(basePath + ext);
+      return basePath + ext;
+    } catch {
+      // Try the next extension
+    }
+  }
+  throw new SymbolNotFoundError(`No candle file found for ${symbol} ${timeframe} in ${dataDir}`);
+}
+
+// Read OHLCV rows from a local CSV or JSON file, windowed like the exchange source
+async function fetchOhlcv(symbol, timeframe, limit, { file, since, until } = {}) {
+  const filePath = await resolveFilePath(symbol, timeframe, file);
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "EISDIR") throw new SymbolNotFoundError(`Candle file not found: ${filePath}`);
+    throw error;
+  }
+  const rows = path.extname(filePath).toLowerCase() === ".json" ? parseOhlcvJson(JSON.parse(text)) : parseCsv(text);
+  return selectWindow(rows, limit, { since, until });
+}
+
+module.exports = { name: "file", fetchOhlcv, requireDataDir };
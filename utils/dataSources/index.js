@@ -0,0 +1,24 @@
+const exchangeSource = require("./exchangeSource");
+const fileSource = require("./fileSource");
+const inlineSource = require("./inlineSource");
+const { InvalidParamsError } = require("../toolErrors");
+
+// OHLCV providers selectable through the `source` tool argument
+const DATA_SOURCES = {
+  [exchangeSource.name]: exchangeSource,
+  [fileSource.name]: fileSource,
+  [inlineSource.name]: inlineSource,
+};
+
+// Pick the data source for a call; passing `ohlcv` implies the inline source and `file` the file source
+function resolveDataSource({ source, file, ohlcv } = {}) {
+  const name = source || (ohlcv !== undefined ? inlineSource.name : file ? fileSource.name : exchangeSource.name);
+  if (!Object.prototype.hasOwnProperty.call(DATA_SOURCES, name)) {
+    throw new InvalidParamsError(
+      `Unsupported data source: "${name}". Allowed: ${Object.keys(DATA_SOURCES).join(", ")}`
+    );
+  }
+  return DATA_SOURCES[name];
+}
+
+module.exports = { DATA_SOURCES, resolveDataSource };
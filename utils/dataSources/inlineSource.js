@@ -0,0 +1,12 @@
+const { parseOhlcvJson, selectWindow } = require("../parseOhlcv");
+const { InvalidParamsError } = require("../toolErrors");
+
+// Candles supplied by the caller through the `ohlcv` tool argument, windowed like the exchange source
+async function fetchOhlcv(symbol, timeframe, limit, { ohlcv, since, until } = {}) {
+  if (ohlcv === undefined) {
+    throw new InvalidParamsError("ohlcv is required for the inline source");
+  }
+  return selectWindow(parseOhlcvJson(ohlcv), limit, { since, until });
+}
+
+module.exports = { name: "inline", fetchOhlcv };
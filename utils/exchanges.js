@@ -0,0 +1,49 @@
+const ccxt = require("ccxt");
+const { InvalidParamsError } = require("./toolErrors");
+const { config, configError } = require("./config");
+
+// Whitelist of allowed exchanges — prevents prototype pollution via ccxt[exid]. The config file
+// may replace it with other ccxt exchange ids.
+const ALLOWED_EXCHANGES = new Set(config.exchanges?.allowed || [
+  "binance", "kraken", "coinbase", "bybit", "okx",
+  "kucoin", "gate", "huobi", "bitfinex", "mexc",
+]);
+
+// Per-exchange settings from the config file: { sandbox, timeout, rateLimit, options }
+const EXCHANGE_OPTIONS = config.exchanges?.options || {};
+
+function assertAllowedExchange(exid) {
+  if (!ALLOWED_EXCHANGES.has(exid)) {
+    throw new InvalidParamsError(
+      `Unsupported exchange: "${exid}". Allowed: ${[...ALLOWED_EXCHANGES].join(", ")}`
+    );
+  }
+}
+
+// Exchange used when a tool call does not name one
+const DEFAULT_EXCHANGE = process.env.EXCHANGE_NAME || config.defaultExchange || [...ALLOWED_EXCHANGES][0];
+if (!process.env.EXCHANGE_NAME && !ALLOWED_EXCHANGES.has(DEFAULT_EXCHANGE)) {
+  throw configError(`default exchange ${DEFAULT_EXCHANGE} is not in exchanges.allowed`);
+}
+assertAllowedExchange(DEFAULT_EXCHANGE);
+
+// ccxt instances are created on first use and reused, so each venue keeps its own rate limiter
+const instances = new Map();
+
+function getExchange(exid = DEFAULT_EXCHANGE) {
+  assertAllowedExchange(exid);
+  if (!instances.has(exid)) {
+    const { sandbox, timeout, rateLimit, options } = EXCHANGE_OPTIONS[exid] || {};
+    const exchange = new ccxt[exid]({
+      enableRateLimit: true,
+      ...(timeout !== undefined && { timeout }),
+      ...(rateLimit !== undefined && { rateLimit }),
+      ...(options && { options }),
+    });
+    if (sandbox) exchange.setSandboxMode(true);
+    instances.set(exid, exchange);
+  }
+  return instances.get(exid);
+}
+
+module.exports = { ALLOWED_EXCHANGES, DEFAULT_EXCHANGE, getExchange };
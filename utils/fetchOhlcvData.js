@@ -1,51 +1,200 @@
-const ccxt = require("ccxt");
-
-// Whitelist of allowed exchanges — prevents prototype pollution via ccxt[exid]
-const ALLOWED_EXCHANGES = new Set([
-  "binance", "kraken", "coinbase", "bybit", "okx",
-  "kucoin", "gate", "huobi", "bitfinex", "mexc",
-]);
-
-// Validate and initialize exchange
-const exid = process.env.EXCHANGE_NAME || "binance";
-if (!ALLOWED_EXCHANGES.has(exid)) {
-  throw new Error(
-    `Unsupported exchange: "${exid}". Allowed: ${[...ALLOWED_EXCHANGES].join(", ")}`
+const { resolveDataSource } = require("./dataSources");
+const { applyGapPolicy } = require("./ohlcvQuality");
+const { chooseBaseTimeframe, baseCandlesNeeded, resampleOhlcv } = require("./resample");
+const { candleOpenTime } = require("./timeframes");
+const { transformCandles } = require("./candleTransforms");
+const { parseSymbol, syntheticLegs, combineSynthetic } = require("./syntheticPairs");
+const { combineVenues, venueDivergence } = require("./compositeSeries");
+const { ToolError, InsufficientDataError, InvalidParamsError, errorCode } = require("./toolErrors");
+const { MAX_LIMIT, DEFAULT_LIMIT } = require("./config");
+
+// Validate raw [timestamp, open, high, low, close, volume] rows from any data source
+function validateOhlcv(ohlcv) {
+  if (!Array.isArray(ohlcv) || ohlcv.length === 0) {
+    throw new InsufficientDataError("No OHLCV data returned from data source");
+  }
+  for (let i = 0; i < ohlcv.length; i++) {
+    if (!Array.isArray(ohlcv[i]) || ohlcv[i].length < 6) {
+      throw new InvalidParamsError(`Malformed OHLCV row at index ${i}: expected 6 values`);
+    }
+  }
+}
+
+// Convert OHLCV rows into the Asset object consumed by indicatorts
+function toAsset(ohlcv) {
+  return {
+    dates: ohlcv.map((row) => new Date(row[0])),
+    openings: ohlcv.map((row) => row[1]),
+    highs: ohlcv.map((row) => row[2]),
+    lows: ohlcv.map((row) => row[3]),
+    closings: ohlcv.map((row) => row[4]),
+    volumes: ohlcv.map((row) => row[5]),
+  };
+}
+
+// Parse an optional ISO date argument into epoch milliseconds
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const ts = Date.parse(value);
+  if (Number.isNaN(ts)) {
+    throw new InvalidParamsError(`Invalid ${name} date: "${value}"`);
+  }
+  return ts;
+}
+
+// Candles to load when `limit` is omitted: all caller-supplied candles, else DEFAULT_LIMIT
+function resolveLimit(limit, { ohlcv } = {}) {
+  if (limit !== undefined) return limit;
+  return ohlcv !== undefined ? MAX_LIMIT : DEFAULT_LIMIT;
+}
+
+// Fetch one market's rows, resampling finer candles when `timeframe` is not served natively
+// or candle boundaries are shifted by `utcOffset`
+async function fetchMarketRows(dataSource, symbol, timeframe, limit, options) {
+  const { since, until } = options;
+  const offsetMs = (options.utcOffset || 0) * 60 * 1000;
+  const nativeTimeframes = dataSource.nativeTimeframes ? dataSource.nativeTimeframes(options) : null;
+  const baseTimeframe = chooseBaseTimeframe(timeframe, nativeTimeframes, offsetMs, options.baseTimeframe);
+
+  if (!baseTimeframe) {
+    const ohlcv = await dataSource.fetchOhlcv(symbol, timeframe, limit, options);
+    validateOhlcv(ohlcv);
+    return ohlcv;
+  }
+
+  const baseOhlcv = await dataSource.fetchOhlcv(
+    symbol,
+    baseTimeframe,
+    baseCandlesNeeded(baseTimeframe, timeframe, limit),
+    { ...options, since: since === undefined ? undefined : candleOpenTime(since, timeframe, offsetMs) }
   );
+  validateOhlcv(baseOhlcv);
+  const ohlcv = resampleOhlcv(baseOhlcv, timeframe, offsetMs);
+  return since === undefined ? ohlcv.slice(-limit) : ohlcv.slice(0, limit);
 }
-const exchange = new ccxt[exid]({
-  enableRateLimit: true,
-});
 
-// Reusable function to fetch OHLCV data and return an Asset object
-async function fetchOhlcvData(symbol, timeframe, limit) {
-  try {
-    if (!exchange.has["fetchOHLCV"]) {
-      throw new Error(`${exid} does not support fetchOHLCV`);
+// Fetch one market from a single exchange or, with `exchanges`, as a composite across venues.
+// Per-venue divergence from the composite is appended to `divergence`.
+async function fetchVenueRows(dataSource, symbol, timeframe, limit, options, divergence) {
+  if (!options.exchanges) {
+    return fetchMarketRows(dataSource, symbol, timeframe, limit, options);
+  }
+  if (dataSource.name !== "exchange") {
+    throw new InvalidParamsError("exchanges can only be combined with the exchange source");
+  }
+
+  const results = await Promise.allSettled(
+    options.exchanges.map((exchange) =>
+      fetchMarketRows(dataSource, symbol, timeframe, limit, { ...options, exchange })
+    )
+  );
+  const ohlcvByExchange = new Map();
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") {
+      ohlcvByExchange.set(options.exchanges[i], result.value);
+    } else {
+      failed.push({ symbol, exchange: options.exchanges[i], error: result.reason.message });
     }
-    const ohlcv = await exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
+  });
+  if (ohlcvByExchange.size === 0) {
+    // Report the first venue's failure code, e.g. SYMBOL_NOT_FOUND when no venue lists the market
+    throw new ToolError(
+      errorCode(results[0].reason),
+      `No exchange returned ${symbol}: ${failed.map((f) => `${f.exchange}: ${f.error}`).join("; ")}`
+    );
+  }
+
+  const ohlcv = combineVenues(ohlcvByExchange, options.compositeMethod);
+  if (ohlcv.length === 0) {
+    throw new InsufficientDataError(`No common timestamps for ${symbol} across ${[...ohlcvByExchange.keys()].join(", ")}`);
+  }
+  divergence.push(...venueDivergence(symbol, ohlcvByExchange, ohlcv), ...failed);
+  return ohlcv;
+}
 
-    // Validate response
-    if (!Array.isArray(ohlcv) || ohlcv.length === 0) {
-      throw new Error("No OHLCV data returned from exchange");
+// Fetch validated OHLCV rows for `timeframe`, plus the per-venue divergence of composite series.
+// `options` selects the data source ({ source, exchange, file, ohlcv }), an optional
+// { since, until } date window, and `exchanges`/`compositeMethod` to merge several venues.
+// Timeframes the source does not serve natively, or a `utcOffset` (minutes) for candle
+// boundaries, are built by resampling finer candles; `baseTimeframe` forces which finer
+// timeframe is used. Synthetic symbols such as "ETH/USDT÷BTC/USDT" fetch every leg and combine
+// them on shared timestamps. Rows are otherwise left as the data source returned them
+// (no de-duplication or gap handling).
+async function fetchOhlcvSeries(symbol, timeframe, limit, options = {}) {
+  limit = resolveLimit(limit, options);
+  try {
+    const since = parseDate(options.since, "since");
+    const until = parseDate(options.until, "until");
+    if (since !== undefined && until !== undefined && since > until) {
+      throw new InvalidParamsError("since must not be after until");
     }
-    for (let i = 0; i < ohlcv.length; i++) {
-      if (!Array.isArray(ohlcv[i]) || ohlcv[i].length < 6) {
-        throw new Error(`Malformed OHLCV row at index ${i}: expected 6 values`);
-      }
+
+    const dataSource = resolveDataSource(options);
+    const sourceOptions = { ...options, since, until };
+    const divergence = [];
+    const parsed = symbol ? parseSymbol(symbol) : { market: undefined };
+    if (!parsed.numerator) {
+      const ohlcv = await fetchVenueRows(dataSource, parsed.market, timeframe, limit, sourceOptions, divergence);
+      return { ohlcv, divergence };
     }
 
-    return {
-      dates: ohlcv.map((row) => new Date(row[0])),
-      openings: ohlcv.map((row) => row[1]),
-      highs: ohlcv.map((row) => row[2]),
-      lows: ohlcv.map((row) => row[3]),
-      closings: ohlcv.map((row) => row[4]),
-      volumes: ohlcv.map((row) => row[5]),
-    };
+    if (options.file || options.ohlcv !== undefined) {
+      throw new InvalidParamsError("Synthetic symbols need per-market candles; use the exchange source or OHLCV_DATA_DIR files");
+    }
+    const legs = syntheticLegs(parsed);
+    const legRows = await Promise.all(
+      legs.map((leg) => fetchVenueRows(dataSource, leg, timeframe, limit, sourceOptions, divergence))
+    );
+    const ohlcv = combineSynthetic(parsed, new Map(legs.map((leg, i) => [leg, legRows[i]])));
+    if (ohlcv.length === 0) {
+      throw new InsufficientDataError(`No common timestamps across ${legs.join(", ")}`);
+    }
+    return { ohlcv, divergence };
   } catch (error) {
-    throw new Error(`Failed to fetch OHLCV data: ${error.message}`);
+    throw new ToolError(errorCode(error), `Failed to fetch OHLCV data: ${error.message}`);
   }
 }
 
-module.exports = fetchOhlcvData;
+// Fetch validated OHLCV rows for `timeframe`; see fetchOhlcvSeries for the options
+async function fetchOhlcvRows(symbol, timeframe, limit, options = {}) {
+  const { ohlcv } = await fetchOhlcvSeries(symbol, timeframe, limit, options);
+  return ohlcv;
+}
+
+// Reusable function to fetch OHLCV data and return an Asset object.
+// Takes the fetchOhlcvRows options plus an optional `gapPolicy` for missing candles and a
+// `candleType` (with `boxSize`/`boxAtrPeriod`) to rebuild the candles as Heikin-Ashi,
+// Renko or range bars. `asset.meta` reports how many candles were obtained, filled and
+// dropped, how many bars resulted and, for composites, how each venue diverged.
+async function fetchOhlcvData(symbol, timeframe, limit, options = {}) {
+  let { ohlcv, divergence } = await fetchOhlcvSeries(symbol, timeframe, limit, options);
+
+  let filled = 0;
+  let dropped = 0;
+  if (options.gapPolicy) {
+    ({ rows: ohlcv, filled, dropped } = applyGapPolicy(ohlcv, timeframe, options.gapPolicy));
+  }
+
+  const { bars, boxSize } = transformCandles(ohlcv, options.candleType, options);
+  if (bars.length === 0) {
+    throw new InsufficientDataError(`No ${options.candleType} bars formed from ${ohlcv.length} candles; use a smaller boxSize`);
+  }
+
+  const asset = toAsset(bars);
+  asset.meta = {
+    requested: limit === undefined && options.ohlcv !== undefined ? ohlcv.length : resolveLimit(limit, options),
+    obtained: ohlcv.length,
+    filled,
+    dropped,
+    candleType: options.candleType || "time",
+    bars: bars.length,
+    boxSize,
+    divergence: divergence.length ? divergence : undefined,
+    from: asset.dates[0].toISOString(),
+    to: asset.dates[asset.dates.length - 1].toISOString(),
+  };
+  return asset;
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, fetchOhlcvData, fetchOhlcvSeries, fetchOhlcvRows, toAsset };
@@ -0,0 +1,166 @@
+const http = require("http");
+const { randomUUID, createHash, timingSafeEqual } = require("crypto");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const { isInitializeRequest } = require("@modelcontextprotocol/sdk/types.js");
+
+const MCP_PATH = "/mcp";
+// Request bodies can carry caller-supplied candles, so allow well over MAX_LIMIT rows of them
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+// Sessions with no request or open stream for this long are closed, as clients may vanish without DELETE
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+// Host names served when none are configured: loopback only
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJsonRpcError(res, status, message, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Parse error: request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Host name of a Host header or Origin URL ("localhost:3000" -> "localhost"), or null if unparsable
+function hostname(value, prefix = "") {
+  try {
+    return new URL(prefix + value).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// DNS-rebinding protection: a page on another site can point its own domain at 127.0.0.1, but
+// the browser still sends that domain as Host and the page's origin as Origin. Requests must
+// name an allowed host, and browser requests come from an allowed origin (by default, a page
+// served from an allowed host).
+function checkRequestOrigin(req, allowedHosts, allowedOrigins) {
+  const host = req.headers.host;
+  if (!host || !allowedHosts.includes(hostname(host, "http://"))) {
+    throw new HttpError(403, `Forbidden: Host ${host || "(none)"} is not allowed; list it in MCP_ALLOWED_HOSTS`);
+  }
+  const origin = req.headers.origin;
+  if (origin === undefined) return;
+  const allowed = allowedOrigins ? allowedOrigins.includes(origin) : allowedHosts.includes(hostname(origin));
+  if (!allowed) {
+    throw new HttpError(403, `Forbidden: Origin ${origin} is not allowed; list it in MCP_ALLOWED_ORIGINS`);
+  }
+}
+
+// Compares digests so neither the token's content nor its length leaks through timing
+function isAuthorized(req, authToken) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(authToken));
+}
+
+// Serve MCP over Streamable HTTP at /mcp. Each client session gets its own McpServer from
+// `createServer`; module-level state such as the candle cache and exchange instances (with
+// their rate limiters) is shared by all sessions.
+// `allowedHosts` (host names) and `allowedOrigins` (exact origins) guard against DNS rebinding
+// (see checkRequestOrigin); hosts default to loopback plus the listening host unless it is a
+// wildcard address.
+// Returns { httpServer, close } once listening; `close` ends every session and stops the server.
+function startHttpServer(createServer, { host, port, authToken, allowedHosts, allowedOrigins }) {
+  const sessions = new Map();
+  const wildcard = ["0.0.0.0", "::", "[::]"].includes(host);
+  const listening = hostname(host.includes(":") && !host.startsWith("[") ? `[${host}]` : host, "http://");
+  const hosts = allowedHosts || [...LOCAL_HOSTS, ...(wildcard || !listening ? [] : [listening])];
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== MCP_PATH) throw new HttpError(404, `Not found; the MCP endpoint is ${MCP_PATH}`);
+    checkRequestOrigin(req, hosts, allowedOrigins);
+    if (authToken && !isAuthorized(req, authToken)) {
+      return sendJsonRpcError(res, 401, "Unauthorized: missing or invalid bearer token", { "WWW-Authenticate": "Bearer" });
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    let session = sessionId && sessions.get(sessionId);
+    if (!session) {
+      if (sessionId) throw new HttpError(404, "Session not found; initialize a new session");
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        throw new HttpError(400, "Bad request: no session ID provided and the request is not an initialize request");
+      }
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: randomUUID,
+        onsessioninitialized: (id) => sessions.set(id, session),
+      });
+      session = { transport, active: 0, lastSeen: Date.now() };
+      transport.onclose = () => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+    }
+
+    // A GET stream stays open for the whole session, keeping it from expiring
+    session.active++;
+    res.on("close", () => {
+      session.active--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (!(error instanceof HttpError)) console.error("HTTP request failed:", error);
+      sendJsonRpcError(res, error.status || 500, error instanceof HttpError ? error.message : "Internal server error");
+    });
+  });
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (session.active === 0 && now - session.lastSeen > SESSION_IDLE_MS) session.transport.close();
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  async function close() {
+    clearInterval(sweep);
+    const closed = new Promise((resolve) => httpServer.close(resolve));
+    await Promise.all([...sessions.values()].map(({ transport }) => transport.close().catch(() => {})));
+    httpServer.closeIdleConnections();
+    await closed;
+  }
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve({ httpServer, close });
+    });
+  });
+}
+
+module.exports = { startHttpServer, MCP_PATH };
@@ -0,0 +1,213 @@
+const { z } = require("zod");
+const { InvalidParamsError } = require("./toolErrors");
+const { config, configError, isEnabled } = require("./config");
+
+// Every indicator and strategy is described once, in the category files under indicators/ and
+// strategies/. A definition has:
+//   name    - identifier; the MCP tool is calculate_<name>
+//   title   - human-readable name used in descriptions
+//   fn      - the indicatorts function (or a small wrapper) computing it
+//   inputs  - indicators only: asset series passed to fn in order, e.g. ["highs", "lows", "closings"];
+//             strategies are called with the whole asset
+//   params  - tool parameters by name: { default, min, max, type: "int" | "number", description, config }.
+//             Periods need only a default. `config` is the fn config key (or keys) the value is
+//             passed as, when it differs from the parameter name
+//   outputs - keys of an object result, e.g. ["macdLine", "signalLine"]; omitted for a single series
+//   warmup  - leading values computed from too few candles: a number or (params) => number
+//   overlay - indicators in price units drawn over the candles by render_chart: true, or the
+//             output keys to draw
+//   interpretation - how to read the output, shown by describe_indicator
+//   thresholds     - conventional levels of bounded oscillators, e.g. { overbought: 70, oversold: 30 }
+//   preset         - presets only: name of the definition whose parameters the preset sets
+// The category and kind ("indicator" or "strategy") come from the file a definition is in.
+// The config file may change parameter defaults, add presets (see withPresets) and disable
+// categories.
+const CATEGORY_FILES = [
+  ["indicator", "trend", require("../indicators/trendIndicators")],
+  ["indicator", "momentum", require("../indicators/momentumIndicators")],
+  ["indicator", "volatility", require("../indicators/volatilityIndicators")],
+  ["indicator", "volume", require("../indicators/volumeIndicators")],
+  ["strategy", "trend", require("../strategies/trendStrategies")],
+  ["strategy", "momentum", require("../strategies/momentumStrategies")],
+  ["strategy", "volatility", require("../strategies/volatilityStrategies")],
+  ["strategy", "volume", require("../strategies/volumeStrategies")],
+];
+
+// Descriptions of common parameters, so definitions only state what differs
+const PARAM_DESCRIPTIONS = {
+  period: "Period length",
+  fastPeriod: "Fast period",
+  slowPeriod: "Slow period",
+  signalPeriod: "Signal period",
+};
+
+// Fill in parameter defaults: integer periods between 1 and 500
+function normalizeParam(name, param) {
+  return {
+    type: "int",
+    min: 1,
+    max: 500,
+    description: PARAM_DESCRIPTIONS[name] || name,
+    config: name,
+    ...param,
+  };
+}
+
+const BUILT_IN = CATEGORY_FILES.flatMap(([kind, category, definitions]) =>
+  definitions.map((definition) => ({
+    ...definition,
+    kind,
+    category,
+    tool: `calculate_${definition.name}`,
+    params: Object.fromEntries(
+      Object.entries(definition.params || {}).map(([name, param]) => [name, normalizeParam(name, param)])
+    ),
+    warmup: definition.warmup || 0,
+  }))
+);
+
+// A definition with other parameter defaults, checked against its parameter ranges
+function withDefaults(definition, defaults, setting) {
+  const parsed = z.object(paramShape(definition)).strict().safeParse(defaults);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => (issue.path.length ? `${issue.path.join(".")}: ` : "") + issue.message);
+    throw configError(`${setting}: ${issues.join("; ")}`);
+  }
+  const params = Object.fromEntries(Object.entries(definition.params).map(([name, param]) =>
+    [name, name in defaults ? { ...param, default: defaults[name] } : param]
+  ));
+  return { ...definition, params };
+}
+
+// Configured defaults replace the built-in ones
+function withConfiguredDefaults(definitions) {
+  const overrides = config.indicators || {};
+  for (const name of Object.keys(overrides)) {
+    if (!definitions.some((definition) => definition.name === name)) throw configError(`indicators.${name}: unknown indicator`);
+  }
+  return definitions.map((definition) =>
+    overrides[definition.name] ? withDefaults(definition, overrides[definition.name], `indicators.${definition.name}`) : definition
+  );
+}
+
+// Presets are indicators of their own, e.g. rsi_fast as relative_strength_index with period 7,
+// with their own calculate_<preset> tool. Calls may still override the preset's parameters.
+function withPresets(definitions) {
+  const presets = Object.entries(config.presets || {}).map(([name, { indicator, params, description }]) => {
+    const base = definitions.find((definition) => definition.name === indicator.replace(/^calculate_/, ""));
+    if (!base) throw configError(`presets.${name}: unknown indicator ${indicator}`);
+    if (definitions.some((definition) => definition.name === name)) {
+      throw configError(`presets.${name}: name taken by an indicator`);
+    }
+    const preset = withDefaults(base, params, `presets.${name}.params`);
+    return {
+      ...preset,
+      name,
+      tool: `calculate_${name}`,
+      title: `${name} preset of ${base.title}`,
+      preset: base.name,
+      interpretation: description ? `${description}. ${base.interpretation}` : base.interpretation,
+    };
+  });
+  return [...definitions, ...presets];
+}
+
+const INDICATORS = withPresets(withConfiguredDefaults(BUILT_IN)).filter((definition) =>
+  isEnabled(definition.kind === "strategy" ? "strategy" : definition.category)
+);
+
+const INDICATORS_BY_NAME = new Map(INDICATORS.map((definition) => [definition.name, definition]));
+if (INDICATORS_BY_NAME.size !== INDICATORS.length) {
+  throw new Error("Indicator names must be unique");
+}
+
+// Look up a definition by name ("bollinger_bands") or tool name ("calculate_bollinger_bands")
+function getIndicator(name) {
+  return INDICATORS_BY_NAME.get(name.replace(/^calculate_/, ""));
+}
+
+// Zod shape of a definition's parameters, used in tool input schemas
+function paramShape(definition) {
+  return Object.fromEntries(
+    Object.entries(definition.params).map(([name, param]) => {
+      let schema = z.number();
+      if (param.type === "int") schema = schema.int();
+      return [name, schema.min(param.min).max(param.max).default(param.default).describe(param.description)];
+    })
+  );
+}
+
+// Validate parameters against the definition and apply defaults; unknown names are rejected
+function resolveParams(definition, params = {}) {
+  const parsed = z.object(paramShape(definition)).strict().safeParse(params);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join(".") || "params"}: ${issue.message}`);
+    throw new InvalidParamsError(`Invalid parameters for ${definition.name}: ${issues.join("; ")}`);
+  }
+  return parsed.data;
+}
+
+// Leading values of a result computed from too few candles
+function warmupPeriod(definition, params) {
+  return typeof definition.warmup === "function" ? definition.warmup(params) : definition.warmup;
+}
+
+// Compute a definition on `asset` with `params` (defaults applied for missing ones).
+// Returns the indicatorts result and its warmup period.
+function computeIndicator(definition, asset, params) {
+  const resolved = resolveParams(definition, params);
+  const config = {};
+  for (const [name, param] of Object.entries(definition.params)) {
+    for (const key of [].concat(param.config)) config[key] = resolved[name];
+  }
+  const result = definition.kind === "strategy"
+    ? definition.fn(asset, config)
+    : definition.fn(...definition.inputs.map((input) => asset[input]), config);
+  return { result, warmupPeriod: warmupPeriod(definition, resolved) };
+}
+
+// Resolve batch specs ({ name, params, as }, see calculate_batch) to definitions, parameters and
+// column names. A name requested more than once gets its parameter values appended (ema_20,
+// ema_50) unless given `as`; series with several outputs get one column per key (macd.macdLine).
+// Columns may not take a `reserved` name, the other fields of the rows they go into.
+function batchColumns(specs, reserved = ["timestamp", "warmup"]) {
+  const counts = {};
+  for (const { name } of specs) counts[name] = (counts[name] || 0) + 1;
+  const resolved = specs.map(({ name, params, as }) => {
+    const definition = getIndicator(name);
+    const resolvedParams = resolveParams(definition, params);
+    const label = as || (counts[name] > 1 ? [name, ...Object.values(resolvedParams)].join("_") : name);
+    const columns = definition.outputs ? definition.outputs.map((key) => `${label}.${key}`) : [label];
+    return { definition, params: resolvedParams, columns };
+  });
+  const labels = resolved.flatMap(({ columns }) => columns);
+  const taken = labels.find((label) => reserved.includes(label));
+  if (taken) {
+    throw new InvalidParamsError(`Column name ${taken} is reserved (${reserved.join(", ")}); pick another 'as'`);
+  }
+  const duplicate = labels.find((label, i) => labels.indexOf(label) !== i);
+  if (duplicate) {
+    throw new InvalidParamsError(`Column ${duplicate} is requested twice; give one of them a different 'as'`);
+  }
+  return resolved;
+}
+
+// Compute resolved batch specs on `asset`: a table of columns aligned with the candles,
+// each column's indicator, parameters and warmup, and the longest warmup
+function computeBatch(specs, asset) {
+  const table = {};
+  const columns = [];
+  for (const spec of specs) {
+    const { definition, params } = spec;
+    const { result, warmupPeriod } = computeIndicator(definition, asset, params);
+    spec.columns.forEach((column, i) => {
+      table[column] = definition.outputs ? result[definition.outputs[i]] : result;
+      columns.push({ column, name: definition.name, params, warmupPeriod });
+    });
+  }
+  return { table, columns, warmupPeriod: Math.max(...columns.map((column) => column.warmupPeriod)) };
+}
+
+module.exports = {
+  INDICATORS, getIndicator, paramShape, resolveParams, warmupPeriod, computeIndicator, batchColumns, computeBatch,
+};
@@ -0,0 +1,36 @@
+const { DEFAULT_EXCHANGE, getExchange } = require("./exchanges");
+const { ToolError, ExchangeUnavailableError, errorCode } = require("./toolErrors");
+
+// 24h traded value of a ticker in quote currency, estimated from base volume when the venue omits it
+function quoteVolume(ticker) {
+  if (Number.isFinite(ticker.quoteVolume)) return ticker.quoteVolume;
+  if (Number.isFinite(ticker.baseVolume) && Number.isFinite(ticker.last)) return ticker.baseVolume * ticker.last;
+  return 0;
+}
+
+// Active spot markets of an exchange quoted in `quote` whose 24h quote volume is at least
+// `minQuoteVolume`, most traded first, at most `maxSymbols`.
+// Returns [{ symbol, quoteVolume }].
+async function findMarkets({ exchange: exid = DEFAULT_EXCHANGE, quote, minQuoteVolume = 0, maxSymbols }) {
+  const exchange = getExchange(exid);
+  if (!exchange.has["fetchTickers"]) {
+    throw new ExchangeUnavailableError(`${exid} does not support fetchTickers, so markets cannot be ranked by volume; pass symbols instead`);
+  }
+  try {
+    await exchange.loadMarkets();
+    const symbols = new Set(Object.values(exchange.markets)
+      .filter((market) => market.spot && market.active !== false && market.quote === quote)
+      .map((market) => market.symbol));
+    const tickers = await exchange.fetchTickers();
+    return Object.values(tickers)
+      .filter((ticker) => symbols.has(ticker.symbol))
+      .map((ticker) => ({ symbol: ticker.symbol, quoteVolume: quoteVolume(ticker) }))
+      .filter((market) => market.quoteVolume >= minQuoteVolume)
+      .sort((a, b) => b.quoteVolume - a.quoteVolume)
+      .slice(0, maxSymbols);
+  } catch (error) {
+    throw new ToolError(errorCode(error), `Failed to list ${exid} markets: ${error.message}`);
+  }
+}
+
+module.exports = { findMarkets };
@@ -0,0 +1,155 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { createHash } = require("crypto");
+const { timeframeToMs } = require("./timeframes");
+const { MAX_BASE_CANDLES } = require("./resample");
+const { MAX_LIMIT } = require("./config");
+
+// Most candles kept per series: the largest `limit` a call may ask for (configurable), or the
+// finer candles fetched to resample one series if more. A smaller cap would cut those fetches
+// short and make every call refetch them in full.
+const MAX_ROWS = Math.max(MAX_LIMIT, MAX_BASE_CANDLES);
+// Most series held in memory before the least recently used one is dropped
+const MAX_ENTRIES = Number(process.env.OHLCV_CACHE_MAX_ENTRIES) || 200;
+// Optional directory where cached series are persisted between restarts
+const CACHE_DIR = process.env.OHLCV_CACHE_DIR;
+
+const entries = new Map();
+const inFlight = new Map();
+// Called whenever a series is added to or evicted from memory (see onCacheChange)
+const changeListeners = new Set();
+
+// How long a cached series is served before checking for new candles.
+// Defaults to 1/60th of the timeframe, clamped between 5 seconds and 5 minutes;
+// OHLCV_CACHE_TTL_MS overrides it (0 refreshes on every call; concurrent calls still share a fetch).
+function ttlFor(timeframe) {
+  if (process.env.OHLCV_CACHE_TTL_MS !== undefined) {
+    return Number(process.env.OHLCV_CACHE_TTL_MS);
+  }
+  return Math.min(Math.max(timeframeToMs(timeframe) / 60, 5000), 5 * 60 * 1000);
+}
+
+// Readable file name plus a hash of the exact key, as keys differing only in case ("1m" and
+// "1M") would otherwise share a file on case-insensitive filesystems
+function cacheFile(key) {
+  const hash = createHash("sha256").update(key).digest("hex").slice(0, 12);
+  return path.join(CACHE_DIR, `${key.replace(/[^A-Za-z0-9]+/g, "_")}_${hash}.json`);
+}
+
+async function readFromDisk(key) {
+  if (!CACHE_DIR) return undefined;
+  try {
+    const { key: storedKey, ...entry } = JSON.parse(await fs.readFile(cacheFile(key), "utf8"));
+    // Only trust a file written for this very series
+    return storedKey === key ? entry : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+async function writeToDisk(key, entry) {
+  if (!CACHE_DIR) return;
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.writeFile(cacheFile(key), JSON.stringify({ key, ...entry }));
+  } catch (error) {
+    // Persistence is best effort; stdout is reserved for the MCP protocol
+    console.error(`Failed to persist OHLCV cache for ${key}: ${error.message}`);
+  }
+}
+
+async function getEntry(key) {
+  if (entries.has(key)) {
+    const entry = entries.get(key);
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+  const entry = await readFromDisk(key);
+  if (entry) setEntry(key, entry);
+  return entry;
+}
+
+function setEntry(key, entry) {
+  const added = !entries.delete(key);
+  entries.set(key, entry);
+  let evicted = false;
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    evicted = true;
+  }
+  if (added || evicted) {
+    for (const listener of changeListeners) listener();
+  }
+}
+
+// Merge freshly fetched rows into the cached ones; fetched rows win on equal timestamps
+function mergeRows(cached, fetched) {
+  const byTimestamp = new Map(cached.map((row) => [row[0], row]));
+  for (const row of Array.isArray(fetched) ? fetched : []) byTimestamp.set(row[0], row);
+  return [...byTimestamp.values()].sort((a, b) => a[0] - b[0]).slice(-MAX_ROWS);
+}
+
+async function refresh(key, timeframe, limit, fetchRows) {
+  const now = Date.now();
+  const entry = await getEntry(key);
+  if (entry && entry.rows.length >= limit && now - entry.fetchedAt < ttlFor(timeframe)) {
+    return entry.rows;
+  }
+
+  let rows;
+  const tfMs = timeframeToMs(timeframe);
+  const last = entry && entry.rows[entry.rows.length - 1];
+  // Incremental update: refetch from the last cached (possibly still open) candle onwards,
+  // as long as the cache already covers the requested window and no candles were missed
+  const missed = last ? Math.ceil((now - last[0]) / tfMs) + 1 : Infinity;
+  if (entry && entry.rows.length >= limit && missed <= limit) {
+    rows = mergeRows(entry.rows, await fetchRows(last[0], missed));
+  } else {
+    rows = mergeRows([], await fetchRows(undefined, limit));
+  }
+  if (rows.length === 0) return rows;
+
+  const updated = { rows, fetchedAt: now };
+  setEntry(key, updated);
+  await writeToDisk(key, updated);
+  return rows;
+}
+
+// Return the most recent `limit` rows of a series, fetching only what the cache lacks.
+// Concurrent requests for the same series share a single fetch when it asks for at least as
+// many rows as they need; otherwise they wait for it and then fetch in turn.
+async function getCachedOhlcv(key, timeframe, limit, fetchRows) {
+  while (inFlight.has(key)) {
+    const { pending, limit: fetching } = inFlight.get(key);
+    const rows = await pending.catch(() => undefined);
+    if (rows && fetching >= limit) return rows.slice(-limit);
+  }
+  const pending = refresh(key, timeframe, limit, fetchRows);
+  inFlight.set(key, { pending, limit });
+  try {
+    return (await pending).slice(-limit);
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// Series currently held in memory, most recently used last: { key, rows, from, to } with
+// the open times of the first and last cached candle
+function cachedSeries() {
+  return [...entries].map(([key, { rows }]) => ({
+    key,
+    rows: rows.length,
+    from: rows[0][0],
+    to: rows[rows.length - 1][0],
+  }));
+}
+
+// Register `listener` to be called when the set of cached series changes; returns an unsubscribe function
+function onCacheChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+module.exports = { getCachedOhlcv, cachedSeries, onCacheChange };
@@ -0,0 +1,158 @@
+const { nextCandleTime } = require("./timeframes");
+const { InsufficientDataError, InvalidParamsError } = require("./toolErrors");
+
+// Policies for missing candles, selectable through the `gapPolicy` tool argument
+const GAP_POLICIES = ["error", "forward_fill", "drop"];
+
+const toIso = (timestamp) => new Date(timestamp).toISOString();
+
+// Sort rows by timestamp and keep the last occurrence of each duplicated timestamp
+function normalizeRows(ohlcv) {
+  const byTimestamp = new Map();
+  for (const row of ohlcv) byTimestamp.set(row[0], row);
+  return [...byTimestamp.values()].sort((a, b) => a[0] - b[0]);
+}
+
+// Missing candle runs in sorted, de-duplicated rows: [{ index, from, to, missing }],
+// where `index` is the row following the gap and from/to are the missing open times
+function findGaps(rows, timeframe) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    let expected = nextCandleTime(rows[i - 1][0], timeframe);
+    if (expected >= rows[i][0]) continue;
+    const from = expected;
+    let missing = 0;
+    let to = expected;
+    while (expected < rows[i][0]) {
+      to = expected;
+      missing++;
+      expected = nextCandleTime(expected, timeframe);
+    }
+    gaps.push({ index: i, from, to, missing });
+  }
+  return gaps;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Inspect raw OHLCV rows for problems indicators silently assume away.
+// Wicks longer than `wickThreshold` times the median candle range are flagged as outliers.
+function analyzeOhlcv(ohlcv, timeframe, { wickThreshold = 5 } = {}) {
+  const duplicates = [];
+  const outOfOrder = [];
+  const seen = new Set();
+  ohlcv.forEach((row, i) => {
+    if (seen.has(row[0])) duplicates.push(toIso(row[0]));
+    seen.add(row[0]);
+    if (i > 0 && row[0] < ohlcv[i - 1][0]) outOfOrder.push({ index: i, timestamp: toIso(row[0]) });
+  });
+
+  const rows = normalizeRows(ohlcv);
+  const gaps = findGaps(rows, timeframe).map(({ from, to, missing }) => ({
+    from: toIso(from),
+    to: toIso(to),
+    missing,
+  }));
+
+  const zeroVolume = [];
+  const invalid = [];
+  for (const [timestamp, open, high, low, close, volume] of rows) {
+    if (volume === 0) zeroVolume.push(toIso(timestamp));
+    if (![open, high, low, close, volume].every(Number.isFinite)) {
+      invalid.push({ timestamp: toIso(timestamp), reason: "non-numeric value" });
+    } else if (high < Math.max(open, close, low) || low > Math.min(open, close)) {
+      invalid.push({ timestamp: toIso(timestamp), reason: "high/low do not contain open/close" });
+    } else if (volume < 0 || low < 0) {
+      invalid.push({ timestamp: toIso(timestamp), reason: "negative price or volume" });
+    }
+  }
+
+  const outlierWicks = [];
+  const medianRange = median(rows.map((row) => row[2] - row[3]).filter(Number.isFinite));
+  if (medianRange > 0) {
+    for (const [timestamp, open, high, low, close] of rows) {
+      const wicks = { upper: high - Math.max(open, close), lower: Math.min(open, close) - low };
+      for (const [side, wick] of Object.entries(wicks)) {
+        if (wick > wickThreshold * medianRange) {
+          outlierWicks.push({ timestamp: toIso(timestamp), side, wick, ratio: wick / medianRange });
+        }
+      }
+    }
+  }
+
+  const missingCandles = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+  return {
+    candles: ohlcv.length,
+    from: rows.length ? toIso(rows[0][0]) : null,
+    to: rows.length ? toIso(rows[rows.length - 1][0]) : null,
+    ok: !gaps.length && !duplicates.length && !outOfOrder.length && !invalid.length && !outlierWicks.length,
+    summary: {
+      gaps: gaps.length,
+      missingCandles,
+      duplicates: duplicates.length,
+      outOfOrder: outOfOrder.length,
+      zeroVolume: zeroVolume.length,
+      invalid: invalid.length,
+      outlierWicks: outlierWicks.length,
+    },
+    medianRange,
+    gaps,
+    duplicates,
+    outOfOrder,
+    zeroVolume,
+    invalid,
+    outlierWicks,
+  };
+}
+
+// Make a series continuous according to `policy`:
+//   error        - reject series with gaps, duplicate or out-of-order candles
+//   forward_fill - insert flat candles at the previous close with zero volume
+//   drop         - keep only the most recent gap-free run of candles
+// Returns { rows, filled, dropped }.
+function applyGapPolicy(ohlcv, timeframe, policy) {
+  if (policy === "error") {
+    const { summary, gaps } = analyzeOhlcv(ohlcv, timeframe);
+    if (summary.duplicates || summary.outOfOrder) {
+      throw new InsufficientDataError(`Series has ${summary.duplicates} duplicate and ${summary.outOfOrder} out-of-order candles`);
+    }
+    if (gaps.length) {
+      throw new InsufficientDataError(
+        `Series has ${summary.missingCandles} missing candles in ${gaps.length} gaps (first: ${gaps[0].from} to ${gaps[0].to})`
+      );
+    }
+    return { rows: ohlcv, filled: 0, dropped: 0 };
+  }
+
+  const rows = normalizeRows(ohlcv);
+  const gaps = findGaps(rows, timeframe);
+
+  if (policy === "forward_fill") {
+    const filled = [];
+    let g = 0;
+    rows.forEach((row, i) => {
+      if (g < gaps.length && gaps[g].index === i) {
+        const close = rows[i - 1][4];
+        for (let ts = gaps[g].from; ts <= gaps[g].to; ts = nextCandleTime(ts, timeframe)) {
+          filled.push([ts, close, close, close, close, 0]);
+        }
+        g++;
+      }
+      filled.push(row);
+    });
+    return { rows: filled, filled: filled.length - rows.length, dropped: ohlcv.length - rows.length };
+  }
+
+  if (policy === "drop") {
+    const start = gaps.length ? gaps[gaps.length - 1].index : 0;
+    return { rows: rows.slice(start), filled: 0, dropped: ohlcv.length - rows.length + start };
+  }
+
+  throw new InvalidParamsError(`Unsupported gap policy: "${policy}". Allowed: ${GAP_POLICIES.join(", ")}`);
+}
+
+module.exports = { GAP_POLICIES, analyzeOhlcv, applyGapPolicy };
@@ -0,0 +1,149 @@
+const { z } = require("zod");
+const { CANDLE_TYPES } = require("./candleTransforms");
+
+// Candles a result was computed on (see fetchOhlcvData's asset.meta)
+const candlesSchema = z.object({
+  requested: z.number().int(),
+  obtained: z.number().int(),
+  filled: z.number().int(),
+  dropped: z.number().int(),
+  candleType: z.enum(CANDLE_TYPES),
+  bars: z.number().int(),
+  boxSize: z.number().optional(),
+  from: z.string(),
+  to: z.string(),
+});
+
+// Per-venue divergence statistics of a composite series, or the venue's fetch error
+const divergenceSchema = z.array(z.object({ symbol: z.string(), exchange: z.string() }).passthrough());
+
+// Output schema of a timestamped result whose points carry one value per key in `keys`.
+// Values the indicator could not compute (NaN, Infinity) are null.
+function seriesOutputSchema(keys, valueSchema = z.number().nullable()) {
+  return {
+    warmupPeriod: z.number().int().describe("Leading points computed from too few candles"),
+    values: z.array(z.object({
+      timestamp: z.string().describe("Candle open time (ISO 8601)"),
+      ...Object.fromEntries(keys.map((key) => [key, valueSchema])),
+      warmup: z.boolean().optional(),
+    })),
+    candles: candlesSchema,
+    divergence: divergenceSchema.optional(),
+  };
+}
+
+// calculate_batch: one row per candle with a column per requested series, described in `columns`
+const batchOutputSchema = {
+  columns: z.array(z.object({
+    column: z.string(),
+    name: z.string(),
+    params: z.record(z.string(), z.number()),
+    warmupPeriod: z.number().int(),
+  })),
+  warmupPeriod: z.number().int().describe("Leading rows where some column is still warming up"),
+  values: z.array(z.object({
+    timestamp: z.string().describe("Candle open time (ISO 8601)"),
+    warmup: z.boolean().optional(),
+  }).catchall(z.number().nullable())),
+  candles: candlesSchema,
+  divergence: divergenceSchema.optional(),
+};
+
+// analyze_confluence: the latest per-timeframe breakdown, and one row per lowest-timeframe candle
+// with the confluence score and each timeframe's score
+const confluenceOutputSchema = {
+  timeframes: z.array(z.string()),
+  latest: z.object({
+    timestamp: z.string(),
+    score: z.number(),
+    direction: z.enum(["BUY", "SELL", "NEUTRAL"]),
+    agreeing: z.number().int().describe("Timeframes whose score has the sign of the confluence score"),
+    breakdown: z.array(z.object({
+      timeframe: z.string(),
+      candle: z.string().describe("Open time of the latest closed candle of this timeframe (ISO 8601)"),
+      weight: z.number(),
+      score: z.number(),
+      signals: z.record(z.string(), z.number().int().min(-1).max(1)),
+    })),
+  }),
+  warmupPeriod: z.number().int().describe("Leading rows before every timeframe has a signal"),
+  values: z.array(z.object({
+    timestamp: z.string().describe("Candle open time (ISO 8601)"),
+    score: z.number().nullable(),
+    warmup: z.boolean().optional(),
+  }).catchall(z.number().nullable())),
+  candles: candlesSchema,
+  divergence: divergenceSchema.optional(),
+};
+
+// Return, drawdown and risk-adjusted return of an equity curve
+const performanceShape = {
+  finalEquity: z.number(),
+  totalReturnPercent: z.number(),
+  maxDrawdownPercent: z.number(),
+  maxDrawdownPeak: z.string().describe("Candle the deepest drawdown started from (ISO 8601)"),
+  maxDrawdownTrough: z.string().describe("Candle the deepest drawdown bottomed at (ISO 8601)"),
+  sharpeRatio: z.number().nullable().describe("Annualized, risk-free rate 0"),
+  sortinoRatio: z.number().nullable().describe("Annualized, risk-free rate 0"),
+};
+
+// backtest_strategy: the summary against buy-and-hold, the trades, and one row per candle with
+// the equity curves and position
+const backtestOutputSchema = {
+  strategy: z.string(),
+  params: z.record(z.string(), z.number()),
+  summary: z.object({
+    initialCapital: z.number(),
+    ...performanceShape,
+    trades: z.number().int(),
+    winRatePercent: z.number().nullable().describe("Share of closed trades with a profit"),
+    averageTradeReturnPercent: z.number().nullable().describe("Mean return of closed trades"),
+    profitFactor: z.number().nullable().describe("Gross profit over gross loss of closed trades"),
+    exposurePercent: z.number().describe("Share of candles with a position open"),
+    fees: z.number(),
+    ruined: z.boolean().describe("Equity was wiped out and trading stopped"),
+    buyAndHold: z.object(performanceShape),
+    excessReturnPercent: z.number().describe("Total return minus buy-and-hold's"),
+  }),
+  trades: z.array(z.object({
+    side: z.enum(["long", "short"]),
+    status: z.enum(["closed", "liquidated", "open"]),
+    entryTime: z.string(),
+    entryPrice: z.number(),
+    exitTime: z.string(),
+    exitPrice: z.number().describe("Fill price, or the last close for an open position"),
+    quantity: z.number(),
+    fees: z.number(),
+    pnl: z.number(),
+    returnPercent: z.number().describe("Profit or loss as a share of the equity committed"),
+    candles: z.number().int(),
+  })),
+  warmupPeriod: z.number().int().describe("Leading rows before the strategy can trade"),
+  values: z.array(z.object({
+    timestamp: z.string().describe("Candle open time (ISO 8601)"),
+    equity: z.number().nullable(),
+    position: z.number().int().min(-1).max(1).describe("-1 short, 0 flat, 1 long at the candle's close"),
+    drawdownPercent: z.number().nullable(),
+    buyAndHold: z.number().nullable(),
+    warmup: z.boolean().optional(),
+  })),
+  candles: candlesSchema,
+  divergence: divergenceSchema.optional(),
+};
+
+// Single-series indicators
+const indicatorOutputSchema = seriesOutputSchema(["value"]);
+
+// Strategies: one action per candle
+const signalOutputSchema = seriesOutputSchema(["value"], z.number().int().min(-1).max(1).describe("-1 SELL, 0 HOLD, 1 BUY"));
+
+// Output schema of a registry definition's tool (see utils/indicatorRegistry.js)
+function outputSchemaFor(definition) {
+  if (definition.kind === "strategy") return signalOutputSchema;
+  return definition.outputs ? seriesOutputSchema(definition.outputs) : indicatorOutputSchema;
+}
+
+module.exports = {
+  seriesOutputSchema, indicatorOutputSchema, signalOutputSchema, batchOutputSchema, confluenceOutputSchema,
+  backtestOutputSchema, outputSchemaFor,
+};
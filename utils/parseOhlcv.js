@@ -0,0 +1,107 @@
+const { InvalidParamsError } = require("./toolErrors");
+
+// Parsers turning candle files and caller-supplied candles into [timestamp, open, high, low, close, volume] rows
+
+// Accepted column names (case-insensitive) for each OHLCV field, in row order
+const COLUMN_ALIASES = [
+  ["timestamp", "time", "date", "datetime", "ts", "dates", "timestamps"],
+  ["open", "o", "opening", "openings", "opens"],
+  ["high", "h", "highs"],
+  ["low", "l", "lows"],
+  ["close", "c", "closing", "closings", "closes"],
+  ["volume", "v", "vol", "volumes"],
+];
+
+// Parse epoch seconds, epoch milliseconds or a date string into epoch milliseconds
+function parseTimestamp(value, index) {
+  if (value instanceof Date) return value.getTime();
+  const text = String(value).trim();
+  let ts;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    ts = Number(text);
+    if (ts < 1e11) ts *= 1000;
+  } else {
+    ts = Date.parse(text);
+  }
+  if (!Number.isFinite(ts)) {
+    throw new InvalidParamsError(`Invalid timestamp at row ${index}`);
+  }
+  return ts;
+}
+
+function toRow(values, index) {
+  return values.map((value, i) => {
+    if (i === 0) return parseTimestamp(value, index);
+    const num = Number(value);
+    if (value === "" || value === null || value === undefined || !Number.isFinite(num)) {
+      throw new InvalidParamsError(`Invalid number in column ${i} at row ${index}`);
+    }
+    return num;
+  });
+}
+
+// Map a header (or object keys) to the position of each OHLCV field
+function columnIndexes(names) {
+  const lower = names.map((name) => String(name).trim().toLowerCase());
+  return COLUMN_ALIASES.map((aliases) => {
+    const index = lower.findIndex((name) => aliases.includes(name));
+    if (index === -1) {
+      throw new InvalidParamsError(`Missing "${aliases[0]}" column`);
+    }
+    return index;
+  });
+}
+
+// CSV with a `timestamp,open,high,low,close,volume` layout; the header row is optional
+function parseCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const firstCells = lines[0].split(",");
+  const hasHeader = firstCells.some((cell) => COLUMN_ALIASES[0].includes(cell.trim().toLowerCase()));
+  const indexes = hasHeader ? columnIndexes(firstCells) : [0, 1, 2, 3, 4, 5];
+
+  return lines.slice(hasHeader ? 1 : 0).map((line, i) => {
+    const cells = line.split(",");
+    return toRow(indexes.map((index) => cells[index]), i);
+  });
+}
+
+// Decoded JSON candles: [[ts, o, h, l, c, v], ...], [{ timestamp, open, ... }, ...] or a column object
+function parseOhlcvJson(data) {
+  if (Array.isArray(data)) {
+    return data.map((row, i) => {
+      if (Array.isArray(row)) return toRow(row.slice(0, 6), i);
+      if (row && typeof row === "object") {
+        const keys = Object.keys(row);
+        return toRow(columnIndexes(keys).map((index) => row[keys[index]]), i);
+      }
+      throw new InvalidParamsError(`Malformed candle at row ${i}`);
+    });
+  }
+
+  if (data && typeof data === "object") {
+    const keys = Object.keys(data);
+    const columns = columnIndexes(keys).map((index) => data[keys[index]]);
+    if (!columns.every((column) => Array.isArray(column) && column.length === columns[0].length)) {
+      throw new InvalidParamsError("Candle columns must be arrays of equal length");
+    }
+    return columns[0].map((_, i) => toRow(columns.map((column) => column[i]), i));
+  }
+
+  throw new InvalidParamsError("Unrecognized JSON candle format");
+}
+
+// Sort parsed rows and pick the requested window the same way the exchange source does:
+// with `since`, the first `limit` candles from that time on; otherwise the last `limit` up to `until`
+function selectWindow(rows, limit, { since, until } = {}) {
+  const selected = rows
+    .filter((row) => (since === undefined || row[0] >= since) && (until === undefined || row[0] <= until))
+    .sort((a, b) => a[0] - b[0]);
+  return since === undefined ? selected.slice(-limit) : selected.slice(0, limit);
+}
+
+module.exports = { parseCsv, parseOhlcvJson, selectWindow };
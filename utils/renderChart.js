@@ -0,0 +1,168 @@
+// Dependency-free SVG candlestick charts for the render_chart tool
+
+const COLORS = {
+  background: "#ffffff",
+  grid: "#e6e6e6",
+  text: "#333333",
+  up: "#26a69a",
+  down: "#ef5350",
+  volume: "#b0bec5",
+};
+// Line colors, assigned to overlay and oscillator series in order
+const PALETTE = ["#1e88e5", "#fb8c00", "#8e24aa", "#43a047", "#e53935", "#00acc1", "#6d4c41", "#3949ab"];
+
+const MARGIN = { top: 36, right: 72, bottom: 28, left: 12 };
+const OSCILLATOR_HEIGHT = 110;
+const PANE_GAP = 18;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
+
+// Compact axis label: 5 significant digits, no trailing zeros
+function formatNumber(value) {
+  return Number(value.toPrecision(5)).toString();
+}
+
+// Finite min/max over several series, padded by 5% so lines do not touch the pane edges
+function valueRange(seriesList) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const values of seriesList) {
+    for (const value of values) {
+      if (Number.isFinite(value)) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+  }
+  if (min === Infinity) return { min: 0, max: 1 };
+  const pad = (max - min || Math.abs(max) || 1) * 0.05;
+  return { min: min - pad, max: max + pad };
+}
+
+// One pane: background grid with right-hand labels, and a scale from values to y pixels
+function pane(top, height, range, plotLeft, plotRight) {
+  const y = (value) => top + height - ((value - range.min) / (range.max - range.min)) * height;
+  const parts = [];
+  for (let i = 0; i <= 4; i++) {
+    const value = range.min + ((range.max - range.min) * i) / 4;
+    const gy = y(value).toFixed(1);
+    parts.push(`<line x1="${plotLeft}" y1="${gy}" x2="${plotRight}" y2="${gy}" stroke="${COLORS.grid}"/>`);
+    parts.push(`<text x="${plotRight + 6}" y="${gy}" dy="4" font-size="11" fill="${COLORS.text}">${formatNumber(value)}</text>`);
+  }
+  return { y, svg: parts.join("") };
+}
+
+// Polyline through the finite points of `values`, broken wherever a value is missing
+function linePath(values, x, y, color) {
+  const segments = [];
+  let current = [];
+  values.forEach((value, i) => {
+    if (Number.isFinite(value)) {
+      current.push(`${x(i).toFixed(1)},${y(value).toFixed(1)}`);
+    } else if (current.length) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length) segments.push(current);
+  return segments
+    .map((points) => `<polyline points="${points.join(" ")}" fill="none" stroke="${color}" stroke-width="1.5"/>`)
+    .join("");
+}
+
+// Legend entries written left to right at `top`
+function legend(entries, left, top) {
+  let x = left;
+  return entries
+    .map(({ label, color }) => {
+      const item = `<rect x="${x}" y="${top - 8}" width="10" height="10" fill="${color}"/>` +
+        `<text x="${x + 14}" y="${top}" font-size="11" fill="${COLORS.text}">${escapeXml(label)}</text>`;
+      x += 26 + label.length * 7;
+      return item;
+    })
+    .join("");
+}
+
+// Render candles from `asset` with:
+//   overlays    - [{ label, values }] drawn over the price pane
+//   oscillators - [{ lines: [{ label, values }] }], each in its own pane below
+//   signals     - optional action per candle (-1 SELL, 1 BUY) drawn as markers
+// Returns the SVG document as a string.
+function renderChartSvg(asset, { title = "", overlays = [], oscillators = [], signals, width = 1000, height = 480 } = {}) {
+  const count = asset.dates.length;
+  const plotLeft = MARGIN.left;
+  const plotRight = width - MARGIN.right;
+  const step = (plotRight - plotLeft) / count;
+  const x = (i) => plotLeft + step * (i + 0.5);
+  const bodyWidth = Math.max(1, step * 0.7);
+  const totalHeight = height + oscillators.length * (OSCILLATOR_HEIGHT + PANE_GAP);
+  const priceHeight = height - MARGIN.top - MARGIN.bottom;
+
+  const parts = [
+    `<rect width="${width}" height="${totalHeight}" fill="${COLORS.background}"/>`,
+    `<text x="${plotLeft}" y="18" font-size="14" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`,
+  ];
+
+  // Price pane: volume histogram along the bottom fifth, then candles, overlays and signals
+  const priceRange = valueRange([asset.highs, asset.lows, ...overlays.map((overlay) => overlay.values)]);
+  const price = pane(MARGIN.top, priceHeight, priceRange, plotLeft, plotRight);
+  parts.push(price.svg);
+  const maxVolume = Math.max(...asset.volumes.filter(Number.isFinite), 0);
+  if (maxVolume > 0) {
+    asset.volumes.forEach((volume, i) => {
+      const barHeight = (volume / maxVolume) * priceHeight * 0.2;
+      parts.push(`<rect x="${(x(i) - bodyWidth / 2).toFixed(1)}" y="${(MARGIN.top + priceHeight - barHeight).toFixed(1)}" width="${bodyWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${COLORS.volume}" opacity="0.5"/>`);
+    });
+  }
+  for (let i = 0; i < count; i++) {
+    const open = asset.openings[i];
+    const close = asset.closings[i];
+    const color = close >= open ? COLORS.up : COLORS.down;
+    const top = price.y(Math.max(open, close));
+    const bodyHeight = Math.max(1, price.y(Math.min(open, close)) - top);
+    parts.push(`<line x1="${x(i).toFixed(1)}" y1="${price.y(asset.highs[i]).toFixed(1)}" x2="${x(i).toFixed(1)}" y2="${price.y(asset.lows[i]).toFixed(1)}" stroke="${color}"/>`);
+    parts.push(`<rect x="${(x(i) - bodyWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${bodyWidth.toFixed(1)}" height="${bodyHeight.toFixed(1)}" fill="${color}"/>`);
+  }
+  const overlayEntries = overlays.map((overlay, i) => ({ ...overlay, color: PALETTE[i % PALETTE.length] }));
+  for (const { values, color } of overlayEntries) parts.push(linePath(values, x, price.y, color));
+  if (signals) {
+    const size = Math.max(3, Math.min(7, step / 2));
+    signals.forEach((action, i) => {
+      if (action === 1) {
+        const tip = price.y(asset.lows[i]) + 4;
+        parts.push(`<path d="M${x(i).toFixed(1)},${tip.toFixed(1)} l${-size},${size * 1.6} h${size * 2} z" fill="${COLORS.up}"/>`);
+      } else if (action === -1) {
+        const tip = price.y(asset.highs[i]) - 4;
+        parts.push(`<path d="M${x(i).toFixed(1)},${tip.toFixed(1)} l${-size},${-size * 1.6} h${size * 2} z" fill="${COLORS.down}"/>`);
+      }
+    });
+  }
+  parts.push(legend(overlayEntries, plotLeft + 4, MARGIN.top + 12));
+
+  // Oscillator panes, each with its own scale
+  let top = height;
+  for (const oscillator of oscillators) {
+    const entries = oscillator.lines.map((line, i) => ({ ...line, color: PALETTE[i % PALETTE.length] }));
+    const oscillatorPane = pane(top, OSCILLATOR_HEIGHT, valueRange(entries.map((line) => line.values)), plotLeft, plotRight);
+    parts.push(oscillatorPane.svg);
+    for (const { values, color } of entries) parts.push(linePath(values, x, oscillatorPane.y, color));
+    parts.push(legend(entries, plotLeft + 4, top + 12));
+    top += OSCILLATOR_HEIGHT + PANE_GAP;
+  }
+
+  // Date labels under the last pane
+  const labelY = totalHeight - (oscillators.length ? PANE_GAP : MARGIN.bottom) + 14;
+  const labels = Math.min(6, count);
+  for (let k = 0; k < labels; k++) {
+    const i = labels === 1 ? 0 : Math.round(((count - 1) * k) / (labels - 1));
+    const anchor = k === 0 ? "start" : k === labels - 1 ? "end" : "middle";
+    const text = asset.dates[i].toISOString().slice(0, 16).replace("T", " ");
+    parts.push(`<text x="${x(i).toFixed(1)}" y="${labelY}" font-size="11" text-anchor="${anchor}" fill="${COLORS.text}">${text}</text>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="sans-serif">${parts.join("")}</svg>`;
+}
+
+module.exports = { renderChartSvg };
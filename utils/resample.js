@@ -0,0 +1,86 @@
+const { parseTimeframe, timeframeToMs, candleOpenTime } = require("./timeframes");
+const { InvalidParamsError } = require("./toolErrors");
+
+// Upper bound on finer candles fetched to build one resampled series
+const MAX_BASE_CANDLES = 50000;
+
+// Whether candles of `base` tile candles of `target` exactly (given the boundary offset)
+function divides(base, target, offsetMs) {
+  const b = parseTimeframe(base);
+  const t = parseTimeframe(target);
+  if (b.unit === "M") {
+    return t.unit === "M" && t.amount % b.amount === 0 && offsetMs === 0;
+  }
+  const baseMs = timeframeToMs(base);
+  // Calendar months vary in length, so they are built from candles that divide a day
+  const targetMs = t.unit === "M" ? timeframeToMs("1d") : timeframeToMs(target);
+  if (b.unit === "w" && t.unit !== "w") return false;
+  return targetMs % baseMs === 0 && offsetMs % baseMs === 0;
+}
+
+// Pick the timeframe whose candles are aggregated into `target`: `requested` if given,
+// otherwise the coarsest of `nativeTimeframes` that tiles it. Returns null when `target`
+// can be fetched as is (or the source does not list its timeframes).
+function chooseBaseTimeframe(target, nativeTimeframes, offsetMs = 0, requested) {
+  if (requested) {
+    if (!divides(requested, target, offsetMs)) {
+      throw new InvalidParamsError(`Cannot build ${target} candles from ${requested} candles`);
+    }
+    return requested === target && offsetMs === 0 ? null : requested;
+  }
+  if (!nativeTimeframes) {
+    if (offsetMs) throw new InvalidParamsError("utcOffset with this data source requires baseTimeframe");
+    return null;
+  }
+  if (nativeTimeframes.includes(target) && offsetMs % timeframeToMs(target) === 0) {
+    return null;
+  }
+  const candidates = nativeTimeframes
+    .filter((timeframe) => {
+      try {
+        return timeframe !== target && divides(timeframe, target, offsetMs);
+      } catch {
+        return false; // Skip exchange-specific timeframe codes we cannot parse
+      }
+    })
+    .sort((a, b) => timeframeToMs(b) - timeframeToMs(a));
+  if (candidates.length === 0) {
+    throw new InvalidParamsError(`Cannot build ${target} candles from available timeframes: ${nativeTimeframes.join(", ")}`);
+  }
+  return candidates[0];
+}
+
+// Number of `base` candles to fetch for `limit` candles of `target`, plus one target candle
+// of slack because the first bucket is usually incomplete. Capped at MAX_BASE_CANDLES, in
+// which case fewer than `limit` resampled candles come back.
+function baseCandlesNeeded(base, target, limit) {
+  const { amount, unit } = parseTimeframe(target);
+  const targetMs = unit === "M" ? amount * 31 * timeframeToMs("1d") : timeframeToMs(target);
+  return Math.min(Math.ceil(targetMs / timeframeToMs(base)) * (limit + 1), MAX_BASE_CANDLES);
+}
+
+// Aggregate sorted OHLCV rows into `timeframe` candles: first open, highest high, lowest low,
+// last close and summed volume. The leading bucket is dropped when the input starts partway
+// into it; the trailing bucket is kept even if still forming, like an exchange's live candle.
+function resampleOhlcv(ohlcv, timeframe, offsetMs = 0) {
+  const candles = [];
+  let current;
+  for (const [timestamp, open, high, low, close, volume] of ohlcv) {
+    const openTime = candleOpenTime(timestamp, timeframe, offsetMs);
+    if (current && current[0] === openTime) {
+      current[2] = Math.max(current[2], high);
+      current[3] = Math.min(current[3], low);
+      current[4] = close;
+      current[5] += volume;
+    } else {
+      current = [openTime, open, high, low, close, volume];
+      candles.push(current);
+    }
+  }
+  if (ohlcv.length && candles.length > 1 && ohlcv[0][0] !== candles[0][0]) {
+    candles.shift();
+  }
+  return candles;
+}
+
+module.exports = { MAX_BASE_CANDLES, chooseBaseTimeframe, baseCandlesNeeded, resampleOhlcv };
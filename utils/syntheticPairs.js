@@ -0,0 +1,100 @@
+const { InvalidParamsError } = require("./toolErrors");
+
+// A single exchange market, e.g. "BTC/USDT"
+const MARKET_PATTERN = /^[A-Z0-9]{1,10}\/[A-Z0-9]{1,10}$/;
+// An optionally weighted basket leg, e.g. "0.5*ETH/USDT"
+const TERM_PATTERN = /^(?:(\d+(?:\.\d+)?)\*)?([A-Z0-9]{1,10}\/[A-Z0-9]{1,10})$/;
+// Operator separating the numerator and denominator of a ratio
+const RATIO_OPERATOR = "÷";
+
+function parseBasket(text) {
+  return text.split("+").map((term) => {
+    const match = TERM_PATTERN.exec(term.trim());
+    if (!match) {
+      throw new InvalidParamsError(`Invalid synthetic symbol term: "${term.trim()}"`);
+    }
+    const weight = match[1] === undefined ? 1 : Number(match[1]);
+    if (!(weight > 0)) {
+      throw new InvalidParamsError(`Weight must be positive in "${term.trim()}"`);
+    }
+    return { weight, symbol: match[2] };
+  });
+}
+
+// Parse an instrument: a synthetic one such as "ETH/USDT÷BTC/USDT" or "0.6*BTC/USDT+0.4*ETH/USDT"
+// (both sides of "÷" may be baskets) gives { numerator, denominator }; a plain market gives
+// { market }, normalized so that " BTC/USDT " or "1*BTC/USDT" is fetched as "BTC/USDT".
+function parseSymbol(symbol) {
+  const trimmed = symbol.trim();
+  if (MARKET_PATTERN.test(trimmed)) return { market: trimmed };
+  const sides = trimmed.split(RATIO_OPERATOR);
+  if (sides.length > 2) {
+    throw new InvalidParamsError(`Only one "${RATIO_OPERATOR}" is allowed in "${symbol}"`);
+  }
+  const numerator = parseBasket(sides[0]);
+  const denominator = sides.length === 2 ? parseBasket(sides[1]) : null;
+  if (!denominator && numerator.length === 1 && numerator[0].weight === 1) {
+    return { market: numerator[0].symbol };
+  }
+  return { numerator, denominator };
+}
+
+// Whether `symbol` is a market or a well-formed synthetic instrument
+function isValidSymbol(symbol) {
+  try {
+    parseSymbol(symbol);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Distinct markets a synthetic instrument is built from
+function syntheticLegs({ numerator, denominator }) {
+  return [...new Set([...numerator, ...(denominator || [])].map((term) => term.symbol))];
+}
+
+// Weighted sum of each OHLC component across basket legs at one timestamp
+function basketCandle(basket, rowsBySymbol, timestamp) {
+  const candle = [0, 0, 0, 0];
+  let quoteVolume = 0;
+  for (const { weight, symbol } of basket) {
+    const row = rowsBySymbol.get(symbol).get(timestamp);
+    for (let i = 0; i < 4; i++) candle[i] += weight * row[i + 1];
+    quoteVolume += row[5] * row[4];
+  }
+  return { candle, quoteVolume };
+}
+
+// Combine per-market OHLCV rows into the synthetic series, keeping only timestamps every leg has.
+// Each OHLC component is computed from the same component of the legs, then high/low are
+// widened to contain open and close. Volume is the quote value (volume × close) traded in the
+// numerator legs, since base volumes of different markets cannot be added.
+function combineSynthetic(definition, ohlcvBySymbol) {
+  const rowsBySymbol = new Map(
+    [...ohlcvBySymbol].map(([symbol, rows]) => [symbol, new Map(rows.map((row) => [row[0], row]))])
+  );
+  const [first, ...others] = [...rowsBySymbol.values()];
+  const timestamps = [...first.keys()]
+    .filter((timestamp) => others.every((rows) => rows.has(timestamp)))
+    .sort((a, b) => a - b);
+
+  return timestamps.map((timestamp) => {
+    const { candle, quoteVolume } = basketCandle(definition.numerator, rowsBySymbol, timestamp);
+    if (definition.denominator) {
+      const { candle: divisor } = basketCandle(definition.denominator, rowsBySymbol, timestamp);
+      for (let i = 0; i < 4; i++) candle[i] /= divisor[i];
+    }
+    const [open, high, low, close] = candle;
+    return [
+      timestamp,
+      open,
+      Math.max(open, high, low, close),
+      Math.min(open, high, low, close),
+      close,
+      quoteVolume,
+    ];
+  });
+}
+
+module.exports = { RATIO_OPERATOR, parseSymbol, isValidSymbol, syntheticLegs, combineSynthetic };
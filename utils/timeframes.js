@@ -0,0 +1,64 @@
+const { InvalidParamsError } = require("./toolErrors");
+
+// Duration of one unit of each ccxt timeframe suffix, in milliseconds.
+// Months are approximated as 30 days; callers needing calendar months must handle "M" themselves.
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  M: 30 * 24 * 60 * 60 * 1000,
+};
+
+// Timeframes accepted as tool arguments: any <amount><unit> with unit m, h, d, w or M; intervals
+// an exchange does not serve are resampled from finer candles
+const TIMEFRAME_PATTERN = /^[1-9]\d{0,3}[mhdwM]$/;
+
+// Parse a timeframe such as "15m", "4h" or "1d" into { amount, unit }
+function parseTimeframe(timeframe) {
+  const match = /^(\d+)([smhdwM])$/.exec(String(timeframe));
+  if (!match || Number(match[1]) < 1) {
+    throw new InvalidParamsError(`Invalid timeframe: "${timeframe}"`);
+  }
+  return { amount: Number(match[1]), unit: match[2] };
+}
+
+// Length of one candle of the given timeframe, in milliseconds
+function timeframeToMs(timeframe) {
+  const { amount, unit } = parseTimeframe(timeframe);
+  return amount * UNIT_MS[unit];
+}
+
+// Open time of the candle following the one opening at `timestamp`; calendar-aware for months
+function nextCandleTime(timestamp, timeframe) {
+  const { amount, unit } = parseTimeframe(timeframe);
+  if (unit === "M") {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + amount, date.getUTCDate(),
+      date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds());
+  }
+  return timestamp + amount * UNIT_MS[unit];
+}
+
+// Weekly candles open on Mondays; 1970-01-05 is the first Monday after the epoch
+const WEEK_ANCHOR = 4 * UNIT_MS.d;
+
+// Open time of the candle containing `timestamp`, with boundaries shifted by `offsetMs`
+// (e.g. +8h puts daily boundaries at UTC+8 midnight). Multi-unit candles such as "3d" or
+// "2w" are aligned to the epoch (Monday 1970-01-05 for weeks), months to January.
+function candleOpenTime(timestamp, timeframe, offsetMs = 0) {
+  const { amount, unit } = parseTimeframe(timeframe);
+  const local = timestamp + offsetMs;
+  if (unit === "M") {
+    const date = new Date(local);
+    const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const start = months - (months % amount);
+    return Date.UTC(Math.floor(start / 12), start % 12, 1) - offsetMs;
+  }
+  const size = amount * UNIT_MS[unit];
+  const anchor = unit === "w" ? WEEK_ANCHOR : 0;
+  return Math.floor((local - anchor) / size) * size + anchor - offsetMs;
+}
+
+module.exports = { TIMEFRAME_PATTERN, parseTimeframe, timeframeToMs, nextCandleTime, candleOpenTime };
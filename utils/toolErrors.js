@@ -0,0 +1,105 @@
+const ccxt = require("ccxt");
+const { z } = require("zod");
+
+// Error codes reported in failed tool results (`_meta.error.code`)
+const ERROR_CODES = {
+  EXCHANGE_UNAVAILABLE: "EXCHANGE_UNAVAILABLE",
+  SYMBOL_NOT_FOUND: "SYMBOL_NOT_FOUND",
+  INSUFFICIENT_DATA: "INSUFFICIENT_DATA",
+  INVALID_PARAMS: "INVALID_PARAMS",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// An error carrying the code it is reported under
+class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// The exchange could not be reached, rejected the request or lacks the needed API
+class ExchangeUnavailableError extends ToolError {
+  constructor(message) {
+    super(ERROR_CODES.EXCHANGE_UNAVAILABLE, message);
+  }
+}
+
+// The market (or its candle file) does not exist
+class SymbolNotFoundError extends ToolError {
+  constructor(message) {
+    super(ERROR_CODES.SYMBOL_NOT_FOUND, message);
+  }
+}
+
+// Too few or unusable candles to compute a result
+class InsufficientDataError extends ToolError {
+  constructor(message) {
+    super(ERROR_CODES.INSUFFICIENT_DATA, message);
+  }
+}
+
+// Arguments that fail the input schema or do not make sense together
+class InvalidParamsError extends ToolError {
+  constructor(message) {
+    super(ERROR_CODES.INVALID_PARAMS, message);
+  }
+}
+
+// Code for any thrown error; ccxt errors are mapped by class
+function errorCode(error) {
+  if (error instanceof ToolError) return error.code;
+  if (error instanceof ccxt.BadSymbol) return ERROR_CODES.SYMBOL_NOT_FOUND;
+  if (error instanceof ccxt.BadRequest || error instanceof ccxt.ArgumentsRequired) return ERROR_CODES.INVALID_PARAMS;
+  if (error instanceof ccxt.NetworkError || error instanceof ccxt.ExchangeError) return ERROR_CODES.EXCHANGE_UNAVAILABLE;
+  return ERROR_CODES.INTERNAL_ERROR;
+}
+
+// Build the MCP result for a failed tool call: `isError` set, the message as text and
+// { error: { code, message } } in `_meta`. There is no structured content, which clients
+// check against the tool's output schema even on errors.
+function errorResult(error) {
+  const code = errorCode(error);
+  return {
+    isError: true,
+    content: [{ type: "text", text: `Error [${code}]: ${error.message}` }],
+    _meta: { error: { code, message: error.message } },
+  };
+}
+
+// Make `server` check tool arguments in the handler, so that a call failing a tool's input schema
+// gets an INVALID_PARAMS errorResult rather than the SDK's own error text. Clients are still
+// shown the full schema, attached as JSON Schema metadata to one accepting any object.
+function validateToolArguments(server) {
+  const registerTool = server.registerTool.bind(server);
+  server.registerTool = (name, { inputSchema, ...config }, handler) => {
+    if (!inputSchema) return registerTool(name, config, handler);
+    const schema = z.object(inputSchema);
+    const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { target: "draft-7", io: "input" });
+    return registerTool(
+      name,
+      { ...config, inputSchema: z.looseObject({}).meta(jsonSchema) },
+      async (args, extra) => {
+        const parsed = await schema.safeParseAsync(args);
+        if (!parsed.success) {
+          const issues = parsed.error.issues.map((issue) => `${issue.path.join(".") || "arguments"}: ${issue.message}`);
+          return errorResult(new InvalidParamsError(`Invalid arguments for ${name}: ${issues.join("; ")}`));
+        }
+        return handler(parsed.data, extra);
+      }
+    );
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ToolError,
+  ExchangeUnavailableError,
+  SymbolNotFoundError,
+  InsufficientDataError,
+  InvalidParamsError,
+  errorCode,
+  errorResult,
+  validateToolArguments,
+};
@@ -0,0 +1,75 @@
+const { z } = require("zod");
+const { DATA_SOURCES } = require("./dataSources");
+const { ALLOWED_EXCHANGES } = require("./exchanges");
+const { GAP_POLICIES } = require("./ohlcvQuality");
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("./fetchOhlcvData");
+const { CANDLE_TYPES } = require("./candleTransforms");
+const { isValidSymbol } = require("./syntheticPairs");
+const { COMPOSITE_METHODS } = require("./compositeSeries");
+const { INDICATORS } = require("./indicatorRegistry");
+const { TIMEFRAME_PATTERN } = require("./timeframes");
+const { config } = require("./config");
+
+// Market or synthetic instrument to analyze; optional because candles may come from `ohlcv` or `file` instead
+const symbolSchema = z.string().max(200).refine(isValidSymbol, "Invalid symbol (e.g., BTC/USDT, ETH/USDT÷BTC/USDT or 0.5*BTC/USDT+0.5*ETH/USDT)");
+const symbolParam = symbolSchema.optional().describe("Trading pair, e.g., 'BTC/USDT'; or a synthetic instrument: a ratio 'ETH/USDT÷BTC/USDT' or weighted basket '0.6*BTC/USDT+0.4*ETH/USDT'. Required unless ohlcv or file is given");
+
+// Candle interval (see TIMEFRAME_PATTERN), limited to the configured `timeframes` when set
+const ALLOWED_TIMEFRAMES = config.timeframes;
+const timeframeSchema = ALLOWED_TIMEFRAMES
+  ? z.string().refine((value) => ALLOWED_TIMEFRAMES.includes(value), `Timeframe not enabled on this server. Allowed: ${ALLOWED_TIMEFRAMES.join(", ")}`)
+  : z.string().regex(TIMEFRAME_PATTERN, "Invalid timeframe (e.g., 1h, 45m, 8h, 3d, 2w)");
+
+// Timeframe used when a call names none: 1h unless the configured timeframes leave it out
+const DEFAULT_TIMEFRAME = !ALLOWED_TIMEFRAMES || ALLOWED_TIMEFRAMES.includes("1h") ? "1h" : ALLOWED_TIMEFRAMES[0];
+const timeframeParam = timeframeSchema.default(DEFAULT_TIMEFRAME).describe(ALLOWED_TIMEFRAMES
+  ? `Timeframe, one of ${ALLOWED_TIMEFRAMES.join(", ")} (default ${DEFAULT_TIMEFRAME})`
+  : "Timeframe, e.g. '1h', '4h', '1d'; custom intervals such as '45m', '8h', '3d' or '2w' are resampled");
+
+const limitParam = z.number().int().min(1).max(MAX_LIMIT).optional().describe(`Number of OHLCV data points to fetch (default ${DEFAULT_LIMIT}; all supplied candles with ohlcv)`);
+
+// A caller-supplied candle value: a number, or a date string in the timestamp column
+const candleValue = z.union([z.number(), z.string()]);
+
+// Optional data-source arguments shared by every indicator and strategy tool
+const dataSourceParams = {
+  source: z.enum(Object.keys(DATA_SOURCES)).optional().describe("Where to load candles from: 'exchange' (default) or 'file'"),
+  exchange: z.enum([...ALLOWED_EXCHANGES]).optional().describe("Exchange to fetch candles from; defaults to the EXCHANGE_NAME setting"),
+  exchanges: z.array(z.enum([...ALLOWED_EXCHANGES])).min(2).max(ALLOWED_EXCHANGES.size).optional().describe("Build a venue-neutral composite series from these exchanges instead of using one; overrides exchange"),
+  compositeMethod: z.enum(COMPOSITE_METHODS).optional().describe("How exchanges is merged: 'volume_weighted' (default) or 'median' prices"),
+  since: z.string().refine((value) => !Number.isNaN(Date.parse(value)), "Invalid date (e.g., 2024-01-01)").optional().describe("ISO date of the first candle; candles are paginated forwards from here up to limit"),
+  until: z.string().refine((value) => !Number.isNaN(Date.parse(value)), "Invalid date (e.g., 2024-12-31)").optional().describe("ISO date of the last candle; without since, the last limit candles up to this date"),
+  file: z.string().optional().describe("Local CSV/JSON candle file; relative paths resolve against OHLCV_DATA_DIR. Without it, source 'file' reads <OHLCV_DATA_DIR>/<BASE>-<QUOTE>/<timeframe>.csv|json"),
+  ohlcv: z.union([
+    z.array(z.union([z.array(candleValue).min(6), z.record(candleValue)])),
+    z.record(z.array(candleValue)),
+  ]).optional().describe("Caller-supplied candles used instead of fetching: [[timestamp, open, high, low, close, volume], ...] or a column object { dates, openings, highs, lows, closings, volumes }. Set timeframe to their interval"),
+  utcOffset: z.number().int().min(-720).max(840).optional().describe("Shift candle boundaries by this many minutes from UTC, e.g. 480 for daily candles starting at UTC+8 midnight"),
+  baseTimeframe: z.string().regex(TIMEFRAME_PATTERN, "Invalid timeframe (e.g., 1m, 1h)").optional().describe("Finer timeframe to resample from; chosen automatically for exchanges, required to resample file data"),
+  gapPolicy: z.enum(GAP_POLICIES).optional().describe("Missing-candle handling: 'error' rejects gaps, 'forward_fill' inserts flat candles, 'drop' keeps the latest gap-free run. Default: none"),
+  candleType: z.enum(CANDLE_TYPES).optional().describe("Chart type computed on: 'time' candles (default), 'heikin_ashi', 'renko' bricks or 'range' bars"),
+  boxSize: z.number().positive().optional().describe("Brick size for renko and bar range for range bars, in quote currency; defaults to the latest ATR"),
+  boxAtrPeriod: z.number().int().min(1).max(500).optional().describe("ATR period used for the box size when boxSize is omitted (default 14)"),
+};
+
+// Warmup handling for the leading values computed from too few candles (`warmup` tool argument)
+const WARMUP_MODES = ["mark", "trim", "keep"];
+
+// Optional output-shaping arguments shared by every indicator and strategy tool
+const outputParams = {
+  warmup: z.enum(WARMUP_MODES).default("mark").describe("Leading values computed before the indicator has enough candles: 'mark' flags them with warmup: true, 'trim' omits them, 'keep' returns them unflagged"),
+  lastN: z.number().int().min(1).max(MAX_LIMIT).optional().describe("Return only the latest N points (after warmup trimming)"),
+};
+
+// Indicators and strategies computed together on one candle series (see batchColumns)
+function indicatorSpecsParam(max) {
+  return z.array(z.object({
+    name: z.enum(INDICATORS.map((definition) => definition.name)).describe("Indicator or strategy name, as in its calculate_<name> tool"),
+    params: z.record(z.string(), z.number()).optional().describe("Parameters, e.g. { \"period\": 20 }; defaults are used for any left out"),
+    as: z.string().regex(/^[A-Za-z][A-Za-z0-9_]*$/).optional().describe("Column name; defaults to the indicator name"),
+  })).min(1).max(max).describe("Series to compute, e.g. [{ \"name\": \"relative_strength_index\" }, { \"name\": \"macd_strategy\" }]");
+}
+
+module.exports = {
+  symbolSchema, symbolParam, timeframeSchema, DEFAULT_TIMEFRAME, timeframeParam, limitParam, dataSourceParams, outputParams, indicatorSpecsParam,
+};
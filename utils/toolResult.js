@@ -0,0 +1,59 @@
+const { InsufficientDataError } = require("./toolErrors");
+
+// Pair each computed value with the date of the candle it belongs to. `result` is a series
+// aligned with the candles, or an object of such series (e.g. MACD's macdLine and signalLine).
+// Values that are not finite numbers become null. Returns the warmup period actually applied
+// (never more than the candle count) and the points.
+function alignResult(asset, result, warmupPeriod = 0, { warmup = "mark", lastN } = {}) {
+  const series = Array.isArray(result) ? { value: result } : result;
+  const applied = Math.min(Math.max(warmupPeriod, 0), asset.dates.length);
+  let points = asset.dates.map((date, i) => {
+    const point = { timestamp: date.toISOString() };
+    for (const [key, values] of Object.entries(series)) {
+      point[key] = Number.isFinite(values[i]) ? values[i] : null;
+    }
+    if (warmup === "mark" && i < applied) point.warmup = true;
+    return point;
+  });
+  if (warmup === "trim") points = points.slice(applied);
+  if (lastN !== undefined) points = points.slice(-lastN);
+  return { warmupPeriod: applied, values: points };
+}
+
+// Build the MCP tool result for an indicator or strategy computed on `asset`.
+// `structuredContent` holds the timestamped series (see alignResult), the candles it used and,
+// for cross-exchange composites, per-venue divergence. The text content carries the same:
+// the series as JSON, a candle summary line and the divergence. `fields` are added ahead of
+// the series, e.g. calculate_batch's column list.
+function toolResult(asset, result, warmupPeriod, options, fields = {}) {
+  if (asset.dates.length <= warmupPeriod) {
+    throw new InsufficientDataError(
+      `Need more than ${warmupPeriod} candles for this indicator, got ${asset.dates.length}; increase limit`
+    );
+  }
+  const { requested, obtained, filled, dropped, candleType, bars, boxSize, divergence, from, to } = asset.meta;
+  let candles = `Candles: ${obtained} obtained of ${requested} requested (${from} to ${to})`;
+  if (filled) candles += `, ${filled} forward-filled`;
+  if (dropped) candles += `, ${dropped} dropped`;
+  if (candleType !== "time") {
+    candles += `, ${bars} ${candleType} bars${boxSize === undefined ? "" : ` (box size ${boxSize})`}`;
+  }
+  const aligned = { ...fields, ...alignResult(asset, result, warmupPeriod, options) };
+  const content = [
+    { type: "text", text: JSON.stringify(aligned) },
+    { type: "text", text: candles },
+  ];
+  if (divergence) {
+    content.push({ type: "text", text: `Venue divergence from composite: ${JSON.stringify(divergence)}` });
+  }
+  return {
+    content,
+    structuredContent: {
+      ...aligned,
+      candles: { requested, obtained, filled, dropped, candleType, bars, boxSize, from, to },
+      divergence,
+    },
+  };
+}
+
+module.exports = { alignResult, toolResult };